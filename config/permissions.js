@@ -0,0 +1,77 @@
+// Role -> permission map. Permissions are "<resource>:<action>[:<scope>]";
+// ":own" variants only apply to documents the user owns, ":any" to all of them.
+// Adding a role is a matter of adding an entry here.
+
+const BASE_PERMISSIONS = [
+  'property:create',
+  'property:update:own',
+  'property:delete:own',
+  'booking:manage:own'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [...BASE_PERMISSIONS],
+
+  agent: [...BASE_PERMISSIONS],
+
+  moderator: [
+    ...BASE_PERMISSIONS,
+    'property:update:any',
+    'property:delete:any',
+    'property:moderate',
+    'property:feature',
+    'contact:read',
+    'contact:respond'
+  ],
+
+  support: [
+    ...BASE_PERMISSIONS,
+    'booking:manage:any',
+    'contact:read',
+    'contact:respond',
+    'user:list',
+    'user:unlock'
+  ],
+
+  admin: [
+    ...BASE_PERMISSIONS,
+    // The admin area as a whole: admin-scoped tokens and the REQUIRE_ADMIN_2FA rule
+    'admin:access',
+    'property:update:any',
+    'property:delete:any',
+    'property:moderate',
+    'property:feature',
+    'property:export:any',
+    'booking:manage:any',
+    'contact:read',
+    'contact:respond',
+    'user:list',
+    'user:unlock',
+    'user:restore',
+    'user:role:set'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+
+// Ownership-aware check: "property:update" passes with property:update:any,
+// or with property:update:own when ownerId belongs to the user
+const canActOn = (user, permission, ownerId) => {
+  if (hasPermission(user, `${permission}:any`)) return true;
+  if (!ownerId || !hasPermission(user, `${permission}:own`)) return false;
+  return ownerId.toString() === user._id.toString();
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  canActOn
+};
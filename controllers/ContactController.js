@@ -16,10 +16,11 @@ const submitContact = async (req, res) => {
     } = req.body;
 
    
+    // Logged-in users can skip the fields we already know
     const contactData = {
-      name,
-      email,
-      phone,
+      name: name || (req.user && req.user.name),
+      email: email || (req.user && req.user.email),
+      phone: phone || (req.user && req.user.phone) || undefined,
       subject,
       message,
       propertyInterest,
@@ -43,7 +44,7 @@ const submitContact = async (req, res) => {
         await Property.findByIdAndUpdate(
           propertyId,
           { $inc: { inquiries: 1 } },
-          { new: false }
+          { new: false, timestamps: false }
         );
       }
     }
@@ -1,4 +1,17 @@
 const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('../utils/emailService');
+const { hashPassword } = require('../utils/password');
+const { restoreAccount } = require('../utils/accountDeletion');
+const {
+  issueActionToken,
+  consumeActionToken,
+  revokeActionTokens,
+  revokeAllRefreshTokens
+} = require('../utils/tokens');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
 
 const googleAuthSuccess = async (req, res) => {
   if (req.user) {
@@ -24,4 +37,145 @@ const logout = (req, res) => {
   });
 };
 
-module.exports = { googleAuthSuccess, getMe, logout };
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueActionToken(user._id, 'verify_email');
+  const template = emailTemplates.verifyEmail(user.name, `${getClientUrl()}/verify-email?token=${token}`);
+  await sendEmail({ to: user.email, ...template });
+};
+
+
+const requestEmailVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email already verified' });
+    }
+
+    await revokeActionTokens(req.user._id, 'verify_email');
+    await sendVerificationEmail(req.user);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Request verification error:', error);
+    res.status(500).json({ success: false, message: 'Error sending verification email' });
+  }
+};
+
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userId = token && await consumeActionToken(token, 'verify_email');
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification link' });
+    }
+
+    await User.findByIdAndUpdate(userId, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Error verifying email' });
+  }
+};
+
+
+const sendPasswordReset = async (user) => {
+  await revokeActionTokens(user._id, 'reset_password');
+  const token = await issueActionToken(user._id, 'reset_password');
+  const template = emailTemplates.passwordReset(user.name, `${getClientUrl()}/reset-password?token=${token}`);
+  await sendEmail({ to: user.email, ...template });
+};
+
+
+// Always answers the same way so the endpoint cannot be used to probe for accounts;
+// the reset is sent in the background so a mail failure does not show in the response
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = email && await User.findOne({ email: String(email).toLowerCase(), provider: 'manual' });
+
+    if (user) {
+      sendPasswordReset(user)
+        .catch(error => console.error('Password reset email error:', error));
+    }
+
+    res.json({ success: true, message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Error processing password reset' });
+  }
+};
+
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const userId = token && await consumeActionToken(token, 'reset_password');
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset link' });
+    }
+
+    // Receiving the reset link also proves ownership of the address
+    user.password = await hashPassword(password);
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeActionTokens(user._id, 'reset_password');
+    await revokeAllRefreshTokens(user._id);
+
+    res.json({ success: true, message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Error resetting password' });
+  }
+};
+
+
+// Follows the link sent when an account is deleted; brings back the account and its listings
+const restoreDeletedAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userId = token && await consumeActionToken(token, 'restore_account');
+
+    const user = userId && await User.findOne({ _id: userId, deletedAt: { $ne: null } });
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired restore link' });
+    }
+
+    await restoreAccount(user);
+
+    res.json({ success: true, message: 'Account restored. You can sign in again' });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ success: false, message: 'Error restoring account' });
+  }
+};
+
+module.exports = {
+  googleAuthSuccess,
+  getMe,
+  logout,
+  sendVerificationEmail,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  restoreDeletedAccount
+};
@@ -0,0 +1,165 @@
+const Availability = require('../models/Availability');
+const Property = require('../models/Property');
+const { isPropertyHost } = require('../utils/helpers');
+
+const MAX_RANGE_DAYS = 31;
+
+
+const getAvailability = async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ property: req.params.propertyId });
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'No availability published for this property'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability'
+    });
+  }
+};
+
+
+const setAvailability = async (req, res) => {
+  try {
+    const { weeklyWindows, blackoutDates, slotMinutes } = req.body;
+
+    const property = await Property.findById(req.params.propertyId);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!isPropertyHost(property, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage availability for this property'
+      });
+    }
+
+    let availability = await Availability.findOne({ property: property._id });
+    if (!availability) {
+      availability = new Availability({ property: property._id });
+    }
+
+    if (weeklyWindows !== undefined) availability.weeklyWindows = weeklyWindows;
+    if (blackoutDates !== undefined) availability.blackoutDates = blackoutDates;
+    if (slotMinutes !== undefined) availability.slotMinutes = slotMinutes;
+    availability.updatedBy = req.user._id;
+
+    await availability.save();
+
+    res.json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Set availability error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating availability'
+    });
+  }
+};
+
+
+const getOpenSlots = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : new Date(fromDate);
+    if (!to) toDate.setDate(toDate.getDate() + 6);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || toDate < fromDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const availability = await Availability.findOne({ property: req.params.propertyId });
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'No availability published for this property'
+      });
+    }
+
+    const days = await availability.getOpenSlots(fromDate, toDate);
+
+    res.json({
+      success: true,
+      slotMinutes: availability.slotMinutes,
+      data: days
+    });
+
+  } catch (error) {
+    console.error('Get open slots error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching open slots'
+    });
+  }
+};
+
+module.exports = {
+  getAvailability,
+  setAvailability,
+  getOpenSlots
+};
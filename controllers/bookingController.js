@@ -0,0 +1,559 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Property = require('../models/Property');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+const { isPropertyHost } = require('../utils/helpers');
+const { buildCalendar } = require('../utils/calendar');
+const { trackInteraction } = require('../middleware/trackingMiddleware');
+
+const VISIT_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const FEED_CANCELLED_DAYS = 30;
+
+
+const validateSlot = (visitDate, visitTime) => {
+  if (!visitDate || !visitTime) {
+    return 'Visit date and time are required';
+  }
+
+  if (!VISIT_TIME_REGEX.test(visitTime)) {
+    return 'Visit time must be in HH:MM format';
+  }
+
+  const date = new Date(visitDate);
+  if (isNaN(date.getTime())) {
+    return 'Invalid visit date';
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (date < today) {
+    return 'Visit date cannot be in the past';
+  }
+
+  return null;
+};
+
+
+// Published calendars are authoritative; properties without one only need a clash-free slot
+const checkSlotFree = async (availability, propertyId, visitDate, visitTime, excludeBookingId) => {
+  if (availability) {
+    const isOpen = await availability.isSlotOpen(visitDate, visitTime, excludeBookingId);
+    return isOpen ? null : 'This time slot is not available for the property';
+  }
+
+  const clash = await Booking.findClash(propertyId, visitDate, visitTime, excludeBookingId);
+  return clash ? 'This time slot is already booked for the property' : null;
+};
+
+
+const buildDateScope = (when) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (when === 'upcoming') return { visitDate: { $gte: today } };
+  if (when === 'past') return { visitDate: { $lt: today } };
+  return {};
+};
+
+
+const createBooking = async (req, res) => {
+  try {
+    const { propertyId, visitDate, visitTime, message, contactInfo } = req.body;
+
+    const slotError = validateSlot(visitDate, visitTime);
+    if (slotError) {
+      return res.status(400).json({
+        success: false,
+        message: slotError
+      });
+    }
+
+    const property = await Property.findById(propertyId);
+    if (!property || property.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner && property.owner.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book a visit to your own property'
+      });
+    }
+
+    const availability = await Availability.findOne({ property: propertyId });
+    const slotConflict = await checkSlotFree(availability, propertyId, visitDate, visitTime);
+    if (slotConflict) {
+      return res.status(409).json({
+        success: false,
+        message: slotConflict
+      });
+    }
+
+    const booking = await Booking.create({
+      property: propertyId,
+      user: req.user._id,
+      owner: property.owner,
+      visitDate,
+      visitTime,
+      durationMinutes: availability ? availability.slotMinutes : undefined,
+      message,
+      contactInfo: {
+        name: req.user.name,
+        phone: req.user.phone || '',
+        email: req.user.email,
+        ...contactInfo
+      }
+    });
+
+    await trackInteraction(req, 'booking_request', {
+      propertyId: property._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Visit requested successfully',
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Create booking error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating booking'
+    });
+  }
+};
+
+
+// Visits the current user has requested as a buyer
+const getMyBookings = async (req, res) => {
+  try {
+    const { when, status, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user._id, ...buildDateScope(when) };
+    if (status) query.status = status;
+
+    const currentPage = parseInt(page);
+    const perPage = parseInt(limit);
+    const skip = (currentPage - 1) * perPage;
+
+    const bookings = await Booking.find(query)
+      .populate('property', 'title address city locality images price')
+      .sort({ visitDate: when === 'past' ? -1 : 1, visitTime: 1 })
+      .skip(skip)
+      .limit(perPage);
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      total,
+      totalPages: Math.ceil(total / perPage),
+      currentPage,
+      data: bookings
+    });
+
+  } catch (error) {
+    console.error('Get my bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bookings'
+    });
+  }
+};
+
+
+// Visits requested on properties the current user owns or is the agent for
+const getReceivedBookings = async (req, res) => {
+  try {
+    const { when, status, propertyId, page = 1, limit = 20 } = req.query;
+
+    const agentProperties = await Property.find({ 'agent.email': req.user.email }).select('_id');
+
+    const query = {
+      $or: [
+        { owner: req.user._id },
+        { property: { $in: agentProperties.map(p => p._id) } }
+      ],
+      ...buildDateScope(when)
+    };
+    if (status) query.status = status;
+    if (propertyId) query.property = propertyId;
+
+    const currentPage = parseInt(page);
+    const perPage = parseInt(limit);
+    const skip = (currentPage - 1) * perPage;
+
+    const bookings = await Booking.find(query)
+      .populate('property', 'title address city locality images price')
+      .populate('user', 'name email avatar phone')
+      .sort({ visitDate: when === 'past' ? -1 : 1, visitTime: 1 })
+      .skip(skip)
+      .limit(perPage);
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      total,
+      totalPages: Math.ceil(total / perPage),
+      currentPage,
+      data: bookings
+    });
+
+  } catch (error) {
+    console.error('Get received bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bookings'
+    });
+  }
+};
+
+
+const getBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('property')
+      .populate('user', 'name email avatar phone');
+
+    if (!booking || !booking.property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isBuyer = booking.user._id.toString() === req.user._id.toString();
+    if (!isBuyer && !isPropertyHost(booking.property, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this booking'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Get booking error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking'
+    });
+  }
+};
+
+
+const updateBookingStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const booking = await Booking.findById(req.params.id).populate('property');
+
+    if (!booking || !booking.property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isBuyer = booking.user.toString() === req.user._id.toString();
+    const isHost = isPropertyHost(booking.property, req.user);
+
+    // Buyers may only withdraw their own request; everything else is the host's call
+    if (!isHost && !(isBuyer && status === 'cancelled')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this booking'
+      });
+    }
+
+    if (!booking.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change booking status from ${booking.status} to ${status}`
+      });
+    }
+
+    booking.status = status;
+    if (status === 'cancelled') {
+      booking.cancelledBy = req.user._id;
+      booking.cancellationReason = reason;
+    }
+
+    await booking.save();
+
+    res.json({
+      success: true,
+      message: `Booking ${status}`,
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Update booking status error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating booking'
+    });
+  }
+};
+
+
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { visitDate, visitTime } = req.body;
+
+    const slotError = validateSlot(visitDate, visitTime);
+    if (slotError) {
+      return res.status(400).json({
+        success: false,
+        message: slotError
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate('property');
+
+    if (!booking || !booking.property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!isPropertyHost(booking.property, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this booking'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a ${booking.status} booking`
+      });
+    }
+
+    const availability = await Availability.findOne({ property: booking.property._id });
+    const slotConflict = await checkSlotFree(availability, booking.property._id, visitDate, visitTime, booking._id);
+    if (slotConflict) {
+      return res.status(409).json({
+        success: false,
+        message: slotConflict
+      });
+    }
+
+    booking.rescheduleHistory.push({
+      visitDate: booking.visitDate,
+      visitTime: booking.visitTime,
+      changedBy: req.user._id
+    });
+    booking.visitDate = visitDate;
+    booking.visitTime = visitTime;
+
+    await booking.save();
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling booking'
+    });
+  }
+};
+
+
+const exportBookingIcs = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('property');
+
+    if (!booking || !booking.property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isBuyer = booking.user.toString() === req.user._id.toString();
+    if (!isBuyer && !isPropertyHost(booking.property, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this booking'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="visit-${booking._id}.ics"`
+    });
+    res.send(buildCalendar([booking]));
+
+  } catch (error) {
+    console.error('Export booking ics error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting booking'
+    });
+  }
+};
+
+
+// Returns the user's private feed URL, creating the token on first use or when regenerate is requested
+const getCalendarFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken');
+
+    if (!user.calendarFeedToken || req.method === 'POST') {
+      user.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/bookings/calendar/${user.calendarFeedToken}.ics`
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed url error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed'
+    });
+  }
+};
+
+
+// Public, token-authenticated feed of the user's visits on either side of the booking
+const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const agentProperties = await Property.find({ 'agent.email': user.email }).select('_id');
+
+    // Recently cancelled visits stay in the feed so subscribed clients drop them
+    const cancelledSince = new Date();
+    cancelledSince.setDate(cancelledSince.getDate() - FEED_CANCELLED_DAYS);
+
+    const bookings = await Booking.find({
+      $and: [
+        {
+          $or: [
+            { user: user._id },
+            { owner: user._id },
+            { property: { $in: agentProperties.map(p => p._id) } }
+          ]
+        },
+        {
+          $or: [
+            { status: { $in: ['confirmed', 'completed'] } },
+            { status: 'cancelled', updatedAt: { $gte: cancelledSince } }
+          ]
+        }
+      ]
+    })
+      .populate('property', 'title address locality city')
+      .sort({ visitDate: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(bookings.filter(b => b.property), `Saarthi visits - ${user.name}`));
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed'
+    });
+  }
+};
+
+module.exports = {
+  createBooking,
+  getMyBookings,
+  getReceivedBookings,
+  getBooking,
+  updateBookingStatus,
+  rescheduleBooking,
+  exportBookingIcs,
+  getCalendarFeedUrl,
+  getCalendarFeed
+};
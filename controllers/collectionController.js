@@ -0,0 +1,794 @@
+const crypto = require('crypto');
+const Collection = require('../models/Collection');
+const Favorite = require('../models/Favorite');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('../utils/emailService');
+
+const MAX_COLLECTIONS = 50;
+
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const getShareUrl = (token) => `${getClientUrl()}/collections/shared/${token}`;
+
+
+// Collection the user owns or collaborates on, or null
+const findAccessibleCollection = async (id, user, select = '') => {
+  const collection = await Collection.findById(id).select(select);
+  if (!collection || !collection.canView(user._id)) return null;
+  return collection;
+};
+
+
+const getCollectionItems = (collectionId) => {
+  return Favorite.find({ collectionId })
+    .populate('property', '-priceHistory')
+    .populate('comments.user', 'name avatar')
+    .sort({ position: 1, addedAt: -1 });
+};
+
+
+// Rewrites positions so `favoriteIds` appear in that order within the collection
+const writePositions = async (collectionId, favoriteIds) => {
+  if (!favoriteIds.length) return;
+
+  await Favorite.bulkWrite(favoriteIds.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { collectionId, position: index }
+    }
+  })));
+};
+
+
+const getCollections = async (req, res) => {
+  try {
+    const collections = await Collection.find({
+      $or: [{ owner: req.user._id }, { 'collaborators.user': req.user._id }]
+    })
+      .populate('owner', 'name avatar')
+      .sort({ updatedAt: -1 });
+
+    const counts = await Favorite.aggregate([
+      { $match: { collectionId: { $in: collections.map(c => c._id) } } },
+      { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections.map(collection => ({
+        ...collection.toObject(),
+        role: collection.owner._id.equals(req.user._id) ? 'owner' : 'collaborator',
+        itemCount: countById.get(collection._id.toString()) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections'
+    });
+  }
+};
+
+
+const createCollection = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const count = await Collection.countDocuments({ owner: req.user._id });
+    if (count >= MAX_COLLECTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can create at most ${MAX_COLLECTIONS} collections`
+      });
+    }
+
+    const collection = await Collection.create({
+      owner: req.user._id,
+      name,
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating collection'
+    });
+  }
+};
+
+
+const getCollection = async (req, res) => {
+  try {
+    const collection = await findAccessibleCollection(req.params.id, req.user, '+shareToken');
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    await collection.populate([
+      { path: 'owner', select: 'name avatar' },
+      { path: 'collaborators.user', select: 'name email avatar' }
+    ]);
+
+    const items = await getCollectionItems(collection._id);
+    const isOwner = collection.owner._id.equals(req.user._id);
+
+    const data = collection.toObject();
+    delete data.shareToken;
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        role: isOwner ? 'owner' : 'collaborator',
+        shareUrl: isOwner && collection.shareToken ? getShareUrl(collection.shareToken) : null,
+        items: items.map(item => {
+          const changes = item.getChangesSinceSaved();
+          const entry = { ...item.toObject(), hasChanged: !!changes, changes };
+          // A favorite's notes are private to whoever saved it; shared discussion goes in comments
+          if (!item.user.equals(req.user._id)) delete entry.notes;
+          return entry;
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collection error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection'
+    });
+  }
+};
+
+
+const updateCollection = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (name !== undefined) collection.name = name;
+    if (description !== undefined) collection.description = description;
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: collection
+    });
+
+  } catch (error) {
+    console.error('Update collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating collection'
+    });
+  }
+};
+
+
+// Favorites in a deleted collection stay saved and go back to "unsorted"
+const deleteCollection = async (req, res) => {
+  try {
+    const collection = await Collection.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    await Favorite.updateMany({ collectionId: collection._id }, { collectionId: null, position: 0 });
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting collection'
+    });
+  }
+};
+
+
+// Files a property under this collection, moving it out of any other one.
+// Properties not yet favorited are saved as part of the move.
+const addCollectionItem = async (req, res) => {
+  try {
+    const { propertyId, position } = req.body;
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    let favorite = await Favorite.findOne({ user: req.user._id, property: propertyId });
+    if (!favorite) {
+      const property = await Property.findOne({ _id: propertyId, status: { $in: Property.PUBLIC_STATUSES } });
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+
+      favorite = await Favorite.create({
+        user: req.user._id,
+        property: property._id,
+        snapshot: Favorite.buildSnapshot(property)
+      });
+    }
+
+    const siblings = await Favorite.find({ collectionId: collection._id, _id: { $ne: favorite._id } })
+      .sort({ position: 1, addedAt: -1 })
+      .select('_id');
+    const ids = siblings.map(s => s._id);
+
+    const index = Number.isInteger(position) ? Math.min(Math.max(position, 0), ids.length) : ids.length;
+    ids.splice(index, 0, favorite._id);
+    await writePositions(collection._id, ids);
+
+    collection.updatedAt = new Date();
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Property added to collection',
+      data: await Favorite.findById(favorite._id).populate('property', '-priceHistory')
+    });
+
+  } catch (error) {
+    console.error('Add collection item error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection or property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding property to collection'
+    });
+  }
+};
+
+
+// Takes a property out of the collection; it stays in the user's favorites
+const removeCollectionItem = async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const favorite = await Favorite.findOneAndUpdate(
+      { collectionId: collection._id, property: req.params.propertyId },
+      { collectionId: null, position: 0 }
+    );
+
+    if (!favorite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property is not in this collection'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Property removed from collection'
+    });
+
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection or property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error removing property from collection'
+    });
+  }
+};
+
+
+// Body: { propertyIds: [...] } in the desired order; unlisted items keep their relative order after them
+const reorderCollection = async (req, res) => {
+  try {
+    const { propertyIds } = req.body;
+
+    if (!Array.isArray(propertyIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'propertyIds must be an array'
+      });
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const items = await Favorite.find({ collectionId: collection._id })
+      .sort({ position: 1, addedAt: -1 })
+      .select('_id property');
+    const byProperty = new Map(items.map(item => [item.property.toString(), item._id]));
+
+    const ordered = [...new Set(propertyIds.map(String))]
+      .filter(id => byProperty.has(id))
+      .map(id => byProperty.get(id));
+    const orderedSet = new Set(ordered.map(String));
+    items.forEach(item => {
+      if (!orderedSet.has(item._id.toString())) ordered.push(item._id);
+    });
+
+    await writePositions(collection._id, ordered);
+
+    res.json({
+      success: true,
+      message: 'Collection reordered successfully'
+    });
+
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering collection'
+    });
+  }
+};
+
+
+// Owner and collaborators can leave notes on any item
+const addItemComment = async (req, res) => {
+  try {
+    const collection = await findAccessibleCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const favorite = await Favorite.findOne({ collectionId: collection._id, property: req.params.propertyId });
+    if (!favorite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property is not in this collection'
+      });
+    }
+
+    favorite.comments.push({ user: req.user._id, text: req.body.text });
+    await favorite.save();
+    await favorite.populate('comments.user', 'name avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: favorite.comments[favorite.comments.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Add collection note error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection or property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding note'
+    });
+  }
+};
+
+
+// Authors can delete their own notes; the collection owner can delete any
+const deleteItemComment = async (req, res) => {
+  try {
+    const collection = await findAccessibleCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const favorite = await Favorite.findOne({ collectionId: collection._id, property: req.params.propertyId });
+    const comment = favorite && favorite.comments.id(req.params.noteId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (!comment.user.equals(req.user._id) && !collection.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this note'
+      });
+    }
+
+    comment.deleteOne();
+    await favorite.save();
+
+    res.json({
+      success: true,
+      message: 'Note deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete collection note error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting note'
+    });
+  }
+};
+
+
+// Creates (or rotates) the read-only share link; rotating breaks the old link
+const shareCollection = async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    collection.shareToken = crypto.randomBytes(24).toString('hex');
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Share link created',
+      data: {
+        shareUrl: getShareUrl(collection.shareToken)
+      }
+    });
+
+  } catch (error) {
+    console.error('Share collection error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating share link'
+    });
+  }
+};
+
+
+const unshareCollection = async (req, res) => {
+  try {
+    const collection = await Collection.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { $unset: { shareToken: 1 } }
+    );
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link disabled'
+    });
+
+  } catch (error) {
+    console.error('Unshare collection error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling share link'
+    });
+  }
+};
+
+
+// Public read-only view behind the share link. Personal notes are not included.
+const getSharedCollection = async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ shareToken: req.params.token })
+      .populate('owner', 'name avatar');
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared collection not found'
+      });
+    }
+
+    const items = await Favorite.find({ collectionId: collection._id })
+      .populate('property', 'title price listingType city locality images propertyType bedrooms bathrooms area areaUnit status')
+      .sort({ position: 1, addedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        name: collection.name,
+        description: collection.description,
+        owner: collection.owner,
+        updatedAt: collection.updatedAt,
+        items: items
+          .filter(item => item.property)
+          .map(item => ({ property: item.property, position: item.position, addedAt: item.addedAt }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shared collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shared collection'
+    });
+  }
+};
+
+
+const addCollaborator = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user found with this email'
+      });
+    }
+
+    if (collection.canView(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already has access to this collection'
+      });
+    }
+
+    collection.collaborators.push({ user: user._id });
+    await collection.save();
+
+    sendEmail({
+      to: user.email,
+      ...emailTemplates.collectionInvite(user.name, req.user.name, collection.name, `${getClientUrl()}/collections/${collection._id}`)
+    }).catch(error => console.error('Collection invite email error:', error));
+
+    res.status(201).json({
+      success: true,
+      message: 'Collaborator added successfully',
+      data: { user: { _id: user._id, name: user.name, email: user.email, avatar: user.avatar } }
+    });
+
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding collaborator'
+    });
+  }
+};
+
+
+// The owner can remove anyone; collaborators can remove themselves
+const removeCollaborator = async (req, res) => {
+  try {
+    const collection = await findAccessibleCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (!collection.isOwner(req.user._id) && req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can remove collaborators'
+      });
+    }
+
+    const before = collection.collaborators.length;
+    collection.collaborators = collection.collaborators.filter(c => c.user.toString() !== req.params.userId);
+
+    if (collection.collaborators.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error removing collaborator'
+    });
+  }
+};
+
+module.exports = {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItem,
+  removeCollectionItem,
+  reorderCollection,
+  addItemComment,
+  deleteItemComment,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection,
+  addCollaborator,
+  removeCollaborator
+};
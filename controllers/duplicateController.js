@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Favorite = require('../models/Favorite');
+const { changeListingStatus } = require('../utils/listingLifecycle');
+
+const SUMMARY_FIELDS = 'title price status address locality city pincode areaSqft bedrooms propertyType listingType images owner createdAt';
+
+// What a merged-away listing becomes, so it leaves the site and the review queue
+const MERGED_STATUS = {
+  active: 'inactive',
+  pending_review: 'rejected'
+};
+
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+
+// Groups flagged pairs into clusters of listings that all look like one property
+const buildClusters = (flagged, listings) => {
+  const byId = new Map(listings.map(p => [p._id.toString(), p]));
+  const dismissed = new Map(flagged.map(p => [p._id.toString(), new Set((p.dismissedDuplicates || []).map(String))]));
+
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  // Either listing of a pair may have flagged the other; keep one entry per pair
+  const pairsByKey = new Map();
+  flagged.forEach(listing => {
+    const a = listing._id.toString();
+    listing.possibleDuplicates.forEach(({ property, score }) => {
+      const b = property.toString();
+      if (!byId.has(a) || !byId.has(b)) return;
+      if ((dismissed.get(a) || new Set()).has(b) || (dismissed.get(b) || new Set()).has(a)) return;
+
+      const key = [a, b].sort().join(':');
+      const existing = pairsByKey.get(key);
+      if (!existing || existing.score < score) pairsByKey.set(key, { a, b, score });
+    });
+  });
+
+  const pairs = [...pairsByKey.values()];
+  pairs.forEach(({ a, b }) => {
+    [a, b].forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+    parent.set(find(a), find(b));
+  });
+
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.a);
+    if (!clusters.has(root)) clusters.set(root, { ids: new Set(), pairs: [] });
+    const cluster = clusters.get(root);
+    cluster.ids.add(pair.a);
+    cluster.ids.add(pair.b);
+    cluster.pairs.push(pair);
+  });
+
+  return [...clusters.values()]
+    .map(cluster => ({
+      score: Math.max(...cluster.pairs.map(p => p.score || 0)),
+      listings: [...cluster.ids].map(id => byId.get(id)).sort((x, y) => x.createdAt - y.createdAt),
+      pairs: cluster.pairs.map(({ a, b, score }) => ({ properties: [a, b], score }))
+    }))
+    .sort((x, y) => y.score - x.score);
+};
+
+
+// GET /api/properties/duplicates - suspected duplicates grouped into clusters, most certain first
+const getDuplicateReport = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const perPage = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const flagged = await Property.find({ 'possibleDuplicates.0': { $exists: true }, mergedInto: null })
+      .select('possibleDuplicates dismissedDuplicates')
+      .lean();
+
+    const ids = new Set();
+    flagged.forEach(listing => {
+      ids.add(listing._id.toString());
+      listing.possibleDuplicates.forEach(d => ids.add(d.property.toString()));
+    });
+
+    const listings = await Property.find({ _id: { $in: [...ids] }, mergedInto: null })
+      .select(SUMMARY_FIELDS)
+      .populate('owner', 'name email phone role')
+      .lean();
+
+    const clusters = buildClusters(flagged, listings);
+
+    res.json({
+      success: true,
+      count: Math.min(perPage, Math.max(0, clusters.length - (currentPage - 1) * perPage)),
+      total: clusters.length,
+      totalPages: Math.ceil(clusters.length / perPage),
+      currentPage,
+      data: clusters.slice((currentPage - 1) * perPage, currentPage * perPage)
+    });
+
+  } catch (error) {
+    console.error('Get duplicate report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching duplicate listings'
+    });
+  }
+};
+
+
+// Points the given favorites at `keep`; users who already saved `keep` just lose the duplicate
+const moveFavorites = async (fromId, keep) => {
+  const favorites = await Favorite.find({ property: fromId });
+  let moved = 0;
+
+  for (const favorite of favorites) {
+    if (await Favorite.exists({ user: favorite.user, property: keep._id })) {
+      await favorite.deleteOne();
+      continue;
+    }
+    favorite.property = keep._id;
+    favorite.snapshot = Favorite.buildSnapshot(keep);
+    await favorite.save();
+    moved++;
+  }
+
+  return moved;
+};
+
+
+// POST /api/properties/duplicates/merge { keep, merge: [ids], reason? }
+// The merged listings are taken off the site and remember which listing they became;
+// their favorites move to the listing that is kept.
+const mergeDuplicates = async (req, res) => {
+  try {
+    const { keep: keepId, reason } = req.body;
+    const mergeIds = [...new Set([].concat(req.body.merge || []).map(String))];
+
+    if (!isId(keepId) || !mergeIds.length || !mergeIds.every(isId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'keep (a listing ID) and merge (a list of listing IDs) are required'
+      });
+    }
+
+    if (mergeIds.includes(String(keepId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A listing cannot be merged into itself'
+      });
+    }
+
+    const [keep, duplicates] = await Promise.all([
+      Property.findById(keepId),
+      Property.find({ _id: { $in: mergeIds } })
+    ]);
+
+    if (!keep || duplicates.length !== mergeIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (keep.mergedInto || duplicates.some(p => p.mergedInto)) {
+      return res.status(400).json({
+        success: false,
+        message: 'One of these listings has already been merged'
+      });
+    }
+
+    const note = (reason && String(reason).trim()) || `Merged into listing ${keep._id} as a duplicate`;
+    let favoritesMoved = 0;
+
+    for (const duplicate of duplicates) {
+      favoritesMoved += await moveFavorites(duplicate._id, keep);
+
+      const status = MERGED_STATUS[duplicate.status];
+      duplicate.mergedInto = keep._id;
+      duplicate.possibleDuplicates = [];
+
+      if (status) {
+        await changeListingStatus(duplicate, status, { by: req.user._id, reason: note });
+      } else {
+        duplicate.statusHistory.push({ status: duplicate.status, changedBy: req.user._id, reason: note });
+        await duplicate.save();
+      }
+    }
+
+    await Property.updateMany(
+      { 'possibleDuplicates.property': { $in: mergeIds } },
+      { $pull: { possibleDuplicates: { property: { $in: mergeIds } } } },
+      { timestamps: false }
+    );
+
+    res.json({
+      success: true,
+      message: `Merged ${duplicates.length} listing${duplicates.length === 1 ? '' : 's'}`,
+      data: {
+        kept: keep._id,
+        merged: duplicates.map(p => ({ _id: p._id, status: p.status })),
+        favoritesMoved
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge duplicates error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error merging listings'
+    });
+  }
+};
+
+
+// POST /api/properties/duplicates/dismiss { ids: [...] }
+// Marks the listings as different properties so they are not flagged against each other again
+const dismissDuplicates = async (req, res) => {
+  try {
+    const ids = [...new Set([].concat(req.body.ids || []).map(String))];
+
+    if (ids.length < 2 || !ids.every(isId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must list at least two listing IDs'
+      });
+    }
+
+    const found = await Property.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    await Property.bulkWrite(ids.map(id => {
+      const others = ids.filter(other => other !== id);
+      return {
+        updateOne: {
+          filter: { _id: id },
+          update: {
+            $addToSet: { dismissedDuplicates: { $each: others } },
+            $pull: { possibleDuplicates: { property: { $in: others } } }
+          },
+          timestamps: false
+        }
+      };
+    }));
+
+    res.json({
+      success: true,
+      message: 'Listings marked as not duplicates'
+    });
+
+  } catch (error) {
+    console.error('Dismiss duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing duplicates'
+    });
+  }
+};
+
+module.exports = {
+  getDuplicateReport,
+  mergeDuplicates,
+  dismissDuplicates
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { hasPermission } = require('../config/permissions');
+const { toExportRecord, toCsv } = require('../utils/listingExport');
+const { buildFeedXml } = require('../utils/syndicationFeed');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const FEED_PAGE_SIZE = 500;
+
+// Listings in these states were never on the market, so partners never saw them
+const UNPUBLISHED_STATUSES = ['draft', 'pending_review', 'rejected'];
+
+const getApiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+
+// GET /api/properties/export?format=csv|json
+// Exports the caller's own listings; admins can pass scope=all for every listing.
+// since=<ISO date> limits the export to listings changed after that moment.
+const exportProperties = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const query = {};
+    if (req.query.scope === 'all') {
+      if (!hasPermission(req.user, 'property:export:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to export all listings'
+        });
+      }
+    } else {
+      query.owner = req.user._id;
+    }
+
+    if (req.query.status !== undefined) {
+      const statuses = Object.keys(Property.STATUS_TRANSITIONS);
+      if (!statuses.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${statuses.join(', ')}`
+        });
+      }
+      query.status = req.query.status;
+    }
+
+    if (req.query.since) {
+      const since = parseDate(req.query.since);
+      if (!since) {
+        return res.status(400).json({
+          success: false,
+          message: 'since must be an ISO 8601 date'
+        });
+      }
+      query.updatedAt = { $gt: since };
+    }
+
+    const properties = await Property.find(query)
+      .select('-priceHistory -statusHistory')
+      .sort({ updatedAt: 1, _id: 1 })
+      .lean();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="listings-${stamp}.csv"`);
+      return res.send(toCsv(properties));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="listings-${stamp}.json"`);
+    res.json({
+      success: true,
+      count: properties.length,
+      exportedAt: new Date(),
+      data: properties.map(toExportRecord)
+    });
+
+  } catch (error) {
+    console.error('Export properties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting properties'
+    });
+  }
+};
+
+
+// GET /api/properties/feed.xml[?since=<ISO date>&after=<listing id>]
+// Without since the feed is a snapshot of active listings. With since it lists
+// every published listing changed after that moment, so partners also learn
+// about listings that were sold, rented, expired, withdrawn or deleted.
+// Pages are ordered by (updatedAt, _id); the root element carries the cursor
+// to continue from.
+const getSyndicationFeed = async (req, res) => {
+  try {
+    let since = null;
+    if (req.query.since) {
+      since = parseDate(req.query.since);
+      if (!since) {
+        return res.status(400).json({
+          success: false,
+          message: 'since must be an ISO 8601 date'
+        });
+      }
+    }
+
+    const after = req.query.after;
+    if (after && (!since || !mongoose.Types.ObjectId.isValid(after))) {
+      return res.status(400).json({
+        success: false,
+        message: 'after must be a listing id and is only valid together with since'
+      });
+    }
+
+    let query;
+    if (!since) {
+      query = { status: 'active' };
+    } else {
+      query = {
+        status: { $nin: UNPUBLISHED_STATUSES },
+        $or: after
+          ? [
+            { updatedAt: { $gt: since } },
+            { updatedAt: since, _id: { $gt: new mongoose.Types.ObjectId(after) } }
+          ]
+          : [{ updatedAt: { $gt: since } }]
+      };
+    }
+
+    const properties = await Property.find(query)
+      .select('-priceHistory -statusHistory -owner')
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(FEED_PAGE_SIZE + 1)
+      .setOptions({ withDeleted: Boolean(since) })
+      .lean();
+
+    const hasMore = properties.length > FEED_PAGE_SIZE;
+    if (hasMore) properties.length = FEED_PAGE_SIZE;
+
+    const last = properties[properties.length - 1];
+    const next = last
+      ? { since: last.updatedAt.toISOString(), after: last._id.toString() }
+      : null;
+
+    const xml = buildFeedXml(properties, {
+      generatedAt: new Date(),
+      since,
+      next,
+      hasMore,
+      schemaUrl: `${getApiUrl()}/api/properties/feed.xsd`
+    });
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.send(xml);
+
+  } catch (error) {
+    console.error('Syndication feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building listing feed'
+    });
+  }
+};
+
+module.exports = {
+  exportProperties,
+  getSyndicationFeed
+};
@@ -3,9 +3,15 @@ const Property = require('../models/Property');
 
 const getFavorites = async (req, res) => {
   try {
-    const favorites = await Favorite.find({ user: req.user._id })
+    const filter = { user: req.user._id };
+    if (req.query.collection) {
+      filter.collectionId = req.query.collection === 'unsorted' ? null : req.query.collection;
+    }
+
+    const favorites = await Favorite.find(filter)
       .populate({
         path: 'property',
+        select: '-priceHistory',
         populate: {
           path: 'owner',
           select: 'name email avatar'
@@ -13,10 +19,17 @@ const getFavorites = async (req, res) => {
       })
       .sort({ addedAt: -1 });
 
+    // "Changed since you saved it" badge: diff against the snapshot taken when saved
+    const data = favorites.map(favorite => {
+      const changes = favorite.getChangesSinceSaved();
+      return { ...favorite.toObject(), hasChanged: !!changes, changes };
+    });
+
     res.json({
       success: true,
       count: favorites.length,
-      data: favorites
+      changedCount: data.filter(f => f.hasChanged).length,
+      data
     });
 
   } catch (error) {
@@ -34,7 +47,7 @@ const addFavorite = async (req, res) => {
     const { propertyId, notes } = req.body;
 
     
-    const property = await Property.findById(propertyId);
+    const property = await Property.findOne({ _id: propertyId, status: { $in: Property.PUBLIC_STATUSES } });
     if (!property) {
       return res.status(404).json({
         success: false,
@@ -59,7 +72,8 @@ const addFavorite = async (req, res) => {
     const favorite = await Favorite.create({
       user: req.user._id,
       property: propertyId,
-      notes
+      notes,
+      snapshot: Favorite.buildSnapshot(property)
     });
 
     await favorite.populate('property');
@@ -119,6 +133,57 @@ const removeFavorite = async (req, res) => {
 };
 
 
+// Clears the changed badge by re-snapshotting the listing as it is now
+const markFavoriteSeen = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    const favorite = await Favorite.findOne({
+      user: req.user._id,
+      property: propertyId
+    }).populate('property', 'title price status');
+
+    if (!favorite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Favorite not found'
+      });
+    }
+
+    if (!favorite.property) {
+      return res.status(410).json({
+        success: false,
+        message: 'This property is no longer listed'
+      });
+    }
+
+    favorite.snapshot = Favorite.buildSnapshot(favorite.property);
+    await favorite.save();
+
+    res.json({
+      success: true,
+      message: 'Favorite marked as seen',
+      data: favorite
+    });
+
+  } catch (error) {
+    console.error('Mark favorite seen error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating favorite'
+    });
+  }
+};
+
+
 const checkFavorite = async (req, res) => {
   try {
     const { propertyId } = req.params;
@@ -165,6 +230,7 @@ module.exports = {
   getFavorites,
   addFavorite,
   removeFavorite,
+  markFavoriteSeen,
   checkFavorite,
   clearAllFavorites
 };
@@ -0,0 +1,193 @@
+const Property = require('../models/Property');
+const { MAX_IMPORT_ROWS, readSheet, mapRow, getUnmappedHeaders } = require('../utils/listingImport');
+const { notifyFavoriters } = require('../utils/favoriteAlerts');
+const { changeListingStatus, needsReviewAfterEdit } = require('../utils/listingLifecycle');
+const { hasPermission } = require('../config/permissions');
+
+
+const getValidationMessages = (error) => Object.values(error.errors).map(err => err.message);
+
+
+// Builds the listing a row would create or update, without saving it
+const prepareListing = (row, existing, user, submit) => {
+  if (existing) {
+    existing.set(row.data);
+    return existing;
+  }
+
+  const now = new Date();
+  const status = submit ? 'pending_review' : 'draft';
+  return new Property({
+    agent: {
+      name: user.name,
+      phone: user.phone || '',
+      email: user.email,
+      image: user.avatar || ''
+    },
+    ...row.data,
+    owner: user._id,
+    status,
+    statusHistory: [{ status, changedAt: now, changedBy: user._id, reason: 'Bulk import' }],
+    submittedAt: submit ? now : undefined
+  });
+};
+
+
+// POST /api/properties/import (multipart "file": .csv or .xlsx)
+// ?dryRun=true validates every row and reports what would happen without saving.
+// ?submit=true sends new listings straight to review instead of drafts.
+// Rows are matched to existing listings on externalRef, so re-uploading updates them.
+const importProperties = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or XLSX file in the "file" field'
+      });
+    }
+
+    const options = { ...req.body, ...req.query };
+    const dryRun = options.dryRun === 'true';
+    const submit = options.submit === 'true';
+    const format = /\.xlsx$/i.test(req.file.originalname) ? 'xlsx' : 'csv';
+
+    let sheet;
+    try {
+      sheet = await readSheet(req.file.buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the ${format.toUpperCase()} file`
+      });
+    }
+
+    if (!sheet.rows.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no listing rows'
+      });
+    }
+
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import at most ${MAX_IMPORT_ROWS} listings per file`
+      });
+    }
+
+    const rows = sheet.rows.map(({ rowNumber, values }) => ({ rowNumber, ...mapRow(values) }));
+
+    const seenRefs = new Set();
+    rows.forEach(row => {
+      const ref = row.data.externalRef;
+      if (!ref) {
+        row.errors.push('externalRef is required so re-imports update the same listing');
+      } else if (seenRefs.has(ref)) {
+        row.errors.push(`Duplicate externalRef "${ref}" in this file`);
+      }
+      if (ref) seenRefs.add(ref);
+    });
+
+    // Trashed listings still hold their externalRef, so they are looked up too
+    const existingListings = await Property.find({
+      owner: req.user._id,
+      externalRef: { $in: [...seenRefs] }
+    }).setOptions({ withDeleted: true });
+    const byRef = new Map(existingListings.map(p => [p.externalRef, p]));
+
+    rows.forEach(row => {
+      const existing = byRef.get(row.data.externalRef);
+      if (existing && existing.deletedAt) {
+        row.errors.push(`The listing with externalRef "${row.data.externalRef}" is in the trash; restore it to update it`);
+      }
+    });
+
+    const summary = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+    const report = [];
+
+    for (const row of rows) {
+      const result = { row: row.rowNumber, externalRef: row.data.externalRef || null };
+      const existing = byRef.get(row.data.externalRef);
+
+      if (!row.errors.length) {
+        const before = existing && existing.toObject();
+        const listing = prepareListing(row, existing, req.user, submit);
+        const validationError = listing.validateSync();
+
+        if (validationError) {
+          row.errors.push(...getValidationMessages(validationError));
+        } else if (existing && !listing.isModified()) {
+          result.action = 'unchanged';
+          result.id = listing._id;
+        } else {
+          result.action = existing ? 'update' : 'create';
+          result.id = listing._id;
+
+          // Same rule as editing a live listing by hand
+          const sendForReview = existing && !hasPermission(req.user, 'property:moderate') &&
+            needsReviewAfterEdit(before, listing.toObject());
+          if (sendForReview) result.sentForReview = true;
+
+          if (!dryRun) {
+            try {
+              listing.$locals.changedBy = req.user._id;
+              await listing.save();
+              if (sendForReview) {
+                await changeListingStatus(listing, 'pending_review', {
+                  by: req.user._id,
+                  reason: 'Edited after approval'
+                });
+              }
+              if (existing) {
+                notifyFavoriters(before, listing)
+                  .catch(error => console.error('Favorite alert error:', error));
+              }
+            } catch (saveError) {
+              row.errors.push(saveError.name === 'ValidationError'
+                ? getValidationMessages(saveError).join(', ')
+                : 'Could not save this listing');
+            }
+          }
+        }
+      }
+
+      if (row.errors.length) {
+        result.action = 'error';
+        result.errors = row.errors;
+        delete result.id;
+        summary.failed++;
+      } else if (result.action === 'create') {
+        summary.created++;
+      } else if (result.action === 'update') {
+        summary.updated++;
+      } else {
+        summary.unchanged++;
+      }
+
+      report.push(result);
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run complete; nothing was saved' : 'Import complete',
+      data: {
+        dryRun,
+        totalRows: rows.length,
+        summary,
+        unmappedColumns: getUnmappedHeaders(sheet.headers),
+        rows: report
+      }
+    });
+
+  } catch (error) {
+    console.error('Import properties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing properties'
+    });
+  }
+};
+
+module.exports = {
+  importProperties
+};
@@ -0,0 +1,159 @@
+const Property = require('../models/Property');
+const { changeListingStatus } = require('../utils/listingLifecycle');
+
+
+// Listings waiting for review, oldest submission first
+const getModerationQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const perPage = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const query = { status: 'pending_review' };
+
+    const [properties, total] = await Promise.all([
+      Property.find(query)
+        .select('-priceHistory')
+        .populate('owner', 'name email phone emailVerified createdAt')
+        .sort({ submittedAt: 1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage),
+      Property.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: properties.length,
+      total,
+      totalPages: Math.ceil(total / perPage),
+      currentPage,
+      data: properties
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching moderation queue'
+    });
+  }
+};
+
+
+const moderate = (status) => async (req, res) => {
+  try {
+    const reason = req.body.reason && String(req.body.reason).trim();
+
+    if (status === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting a listing'
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.status !== 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        message: `Only listings pending review can be moderated (this one is ${property.status})`
+      });
+    }
+
+    await changeListingStatus(property, status, { by: req.user._id, reason });
+
+    res.json({
+      success: true,
+      message: status === 'active' ? 'Listing approved' : 'Listing rejected',
+      data: property
+    });
+
+  } catch (error) {
+    console.error('Moderate property error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating listing'
+    });
+  }
+};
+
+
+const approveProperty = moderate('active');
+
+const rejectProperty = moderate('rejected');
+
+
+// PUT /api/properties/:id/featured { featured: true|false } - featured listings lead /featured
+const setPropertyFeatured = async (req, res) => {
+  try {
+    if (typeof req.body.featured !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'featured must be true or false'
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    property.isFeatured = req.body.featured;
+    await property.save();
+
+    res.json({
+      success: true,
+      message: property.isFeatured ? 'Listing featured' : 'Listing no longer featured',
+      data: property
+    });
+
+  } catch (error) {
+    console.error('Set property featured error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating featured listing'
+    });
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  approveProperty,
+  rejectProperty,
+  setPropertyFeatured
+};
@@ -1,86 +1,120 @@
 const Property = require('../models/Property');
+const Favorite = require('../models/Favorite');
+const Booking = require('../models/Booking');
+const { canActOn, hasPermission } = require('../config/permissions');
+const { buildHighlights } = require('../utils/search');
+const { haversineKm, parseBounds, clusterCellSize } = require('../utils/geo');
+const { buildPropertyFilters, combineFilters } = require('../utils/propertyQuery');
+const { notifyFavoriters } = require('../utils/favoriteAlerts');
+const { MIN_COMPARE, MAX_COMPARE, parseLoanOptions, buildComparison } = require('../utils/comparison');
+const { normalizeListing } = require('../utils/listing');
+const { normalizeAreaUnit, fromSqft } = require('../utils/area');
+const { changeListingStatus, renewListing, needsReviewAfterEdit } = require('../utils/listingLifecycle');
+const { findDuplicates } = require('../utils/duplicates');
+const { getListingQuality } = require('../utils/listingQuality');
+const { getRetentionDays } = require('../utils/softDelete');
+
+// Maintained by the server (price hooks, counters) or by staff, never set directly by
+// clients. Ownership comes from the signed-in user, externalRef from the importer and
+// isFeatured from PUT /:id/featured.
+const SYSTEM_FIELDS = [
+  'owner', 'externalRef', 'isFeatured',
+  'priceHistory', 'originalPrice', 'priceDropPercent', 'previousPrice', 'priceChangedAt',
+  'areaSqft', 'pricePerSqft', 'views', 'inquiries',
+  'status', 'statusHistory', 'submittedAt', 'publishedAt', 'expiresAt', 'expiryReminderSentAt',
+  'rejectionReason', 'moderatedBy', 'moderatedAt',
+  'possibleDuplicates', 'dismissedDuplicates', 'mergedInto', 'qualityScore',
+  'deletedAt', 'deletedBy'
+];
+
+// Changing any of these re-runs duplicate detection
+const DUPLICATE_FIELDS = [
+  'title', 'price', 'area', 'areaUnit', 'address', 'locality', 'city', 'pincode', 'location',
+  'propertyType', 'listingType', 'bedrooms', 'images', 'imageHashes'
+];
+
+// Status changes an owner can make directly; the rest go through moderation or the expiry job
+const OWNER_STATUS_CHANGES = ['draft', 'sold', 'rented', 'inactive', 'active'];
+
+// Friendly sort names mapped to the stored field
+const SORT_ALIASES = {
+  priceDrop: 'priceDropPercent',
+  area: 'areaSqft',
+  quality: 'qualityScore'
+};
 
-const getProperties = async (req, res) => {
-  try {
-    const {
-      search,
-      location,
-      propertyType,
-      minPrice,
-      maxPrice,
-      bedrooms,
-      furnishing,
-      possession,
-      amenities,
-      minArea,
-      maxArea,
-      page = 1,
-      limit = 12,
-      sort = 'createdAt',
-      order = 'desc'
-    } = req.query;
 
-    
-    let query = { status: 'active' };
+// Owners see their own unpublished listings; moderators see everyone's
+const canManageListing = (user, property) => {
+  if (!user) return false;
+  const ownerId = property.owner && (property.owner._id || property.owner);
+  return hasPermission(user, 'property:moderate') || canActOn(user, 'property:update', ownerId);
+};
 
-    
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { location: { $regex: search, $options: 'i' } }
-      ];
-    }
 
-   
-    if (location) {
-      query.city = { $regex: location, $options: 'i' };
-    }
+// Likely duplicates as shown to the person saving the listing. They only see
+// listings they could open anyway; admins get the full picture in the duplicates report.
+const describeDuplicates = (matches, user) => matches
+  .filter(({ property }) => Property.PUBLIC_STATUSES.includes(property.status) || canManageListing(user, property))
+  .map(({ property, score, signals }) => ({
+    _id: property._id,
+    title: property.title,
+    price: property.price,
+    locality: property.locality,
+    city: property.city,
+    status: property.status,
+    score,
+    signals
+  }));
 
-    
-    if (propertyType) {
-      query.propertyType = propertyType;
-    }
 
-    
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice) * 10000000; 
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice) * 10000000;
-    }
+const toDuplicateRefs = (matches) => matches.map(({ property, score }) => ({ property: property._id, score }));
 
-    
-    if (bedrooms) {
-      query.bedrooms = { $gte: parseInt(bedrooms) };
-    }
 
-   
-    if (furnishing) {
-      query.furnishing = furnishing;
-    }
+// Area in the unit the caller asked for via ?areaUnit=, whatever unit the listing used
+const getDisplayArea = (property, unit) => ({
+  value: fromSqft(property.areaSqft, unit, property.state),
+  unit
+});
 
-   
-    if (possession) {
-      query.possession = possession;
-    }
 
-  
-    if (minArea || maxArea) {
-      query.area = {};
-      if (minArea) query.area.$gte = parseInt(minArea);
-      if (maxArea) query.area.$lte = parseInt(maxArea);
-    }
+const getProperties = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 12,
+      sort = 'createdAt',
+      order = 'desc'
+    } = req.query;
 
-    
-    if (amenities) {
-      const amenitiesArray = Array.isArray(amenities) ? amenities : [amenities];
-      query.amenities = { $in: amenitiesArray };
-    }
+    const { filters, searchTerms, searchCorrections, geoCenter, radiusKm } = await buildPropertyFilters(req.query);
+    const query = combineFilters(filters);
+    const textSearch = Boolean(filters.search);
+    const displayUnit = req.query.areaUnit ? normalizeAreaUnit(req.query.areaUnit) : null;
 
     
     const sortOrder = order === 'desc' ? -1 : 1;
     const sortObj = {};
-    sortObj[sort] = sortOrder;
+    const sortByRelevance = textSearch && (sort === 'relevance' || !req.query.sort);
+    if (sortByRelevance) {
+      sortObj.score = { $meta: 'textScore' };
+    } else if (sort !== 'relevance' && sort !== 'distance') {
+      sortObj[SORT_ALIASES[sort] || sort] = sortOrder;
+      // Many listings share a quality score; show the newest of equals first
+      if (sort === 'quality') sortObj.createdAt = -1;
+    }
+
+    // In radius mode, $nearSphere returns nearest first. It cannot be combined
+    // with $text or used for counting, so the count keeps the $geoWithin form.
+    const findQuery = { ...query };
+    if (sort === 'distance' && radiusKm && !textSearch) {
+      findQuery.geoLocation = {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: geoCenter },
+          $maxDistance: radiusKm * 1000
+        }
+      };
+    }
 
     
     const currentPage = parseInt(page);
@@ -88,7 +122,11 @@ const getProperties = async (req, res) => {
     const skip = (currentPage - 1) * perPage;
 
     
-    const properties = await Property.find(query)
+    // The full price timeline is only sent on the detail endpoint
+    const projection = { priceHistory: 0 };
+    if (textSearch) projection.score = { $meta: 'textScore' };
+
+    const properties = await Property.find(findQuery, projection)
       .populate('owner', 'name email avatar')
       .sort(sortObj)
       .skip(skip)
@@ -97,14 +135,35 @@ const getProperties = async (req, res) => {
    
     const total = await Property.countDocuments(query);
 
-    res.json({
+    let data = properties;
+    if (req.user || textSearch || geoCenter || displayUnit) {
+      const favoritedIds = req.user
+        ? await Favorite.getFavoritedIds(req.user._id, properties.map(p => p._id))
+        : null;
+
+      data = properties.map(p => {
+        const item = p.toObject();
+        if (favoritedIds) item.isFavorite = favoritedIds.has(p._id.toString());
+        if (textSearch) item.highlights = buildHighlights(item, searchTerms);
+        if (geoCenter && item.geoLocation && item.geoLocation.coordinates) {
+          item.distanceKm = Math.round(haversineKm(geoCenter, item.geoLocation.coordinates) * 100) / 100;
+        }
+        if (displayUnit) item.displayArea = getDisplayArea(item, displayUnit);
+        return item;
+      });
+    }
+
+    const response = {
       success: true,
       count: properties.length,
       total,
       totalPages: Math.ceil(total / perPage),
       currentPage,
-      data: properties
-    });
+      data
+    };
+    if (searchCorrections.length) response.searchCorrections = searchCorrections;
+
+    res.json(response);
 
   } catch (error) {
     console.error('Get properties error:', error);
@@ -116,12 +175,175 @@ const getProperties = async (req, res) => {
 };
 
 
+const PRICE_BANDS = [
+  { label: 'Under ₹25 L', min: 0, max: 2500000 },
+  { label: '₹25 L - ₹50 L', min: 2500000, max: 5000000 },
+  { label: '₹50 L - ₹75 L', min: 5000000, max: 7500000 },
+  { label: '₹75 L - ₹1 Cr', min: 7500000, max: 10000000 },
+  { label: '₹1 Cr - ₹2 Cr', min: 10000000, max: 20000000 },
+  { label: '₹2 Cr - ₹5 Cr', min: 20000000, max: 50000000 },
+  { label: 'Above ₹5 Cr', min: 50000000, max: null }
+];
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1 } },
+  { $limit: 50 }
+];
+
+// Each facet is counted against every active filter except its own, so the
+// counts show what picking a different option for that filter would return
+const FACETS = {
+  propertyType: { filter: 'propertyType', pipeline: countBy('propertyType') },
+  city: { filter: 'city', pipeline: countBy('city') },
+  furnishing: { filter: 'furnishing', pipeline: countBy('furnishing') },
+  amenities: {
+    filter: 'amenities',
+    pipeline: [
+      { $unwind: '$amenities' },
+      { $group: { _id: '$amenities', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 30 }
+    ]
+  },
+  bedrooms: {
+    filter: 'bedrooms',
+    pipeline: [
+      { $project: { beds: { $convert: { input: '$bedrooms', to: 'int', onError: null, onNull: null } } } },
+      { $match: { beds: { $gte: 1 } } },
+      { $group: { _id: { $cond: [{ $gte: ['$beds', 5] }, '5+', { $toString: '$beds' }] }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]
+  },
+  priceBand: {
+    filter: 'price',
+    pipeline: [
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: PRICE_BANDS.map(b => b.min).concat(Number.MAX_SAFE_INTEGER),
+          default: 'other',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]
+  }
+};
+
+
+const getPropertyFacets = async (req, res) => {
+  try {
+    const { filters } = await buildPropertyFilters(req.query);
+
+    const entries = await Promise.all(Object.entries(FACETS).map(async ([name, facet]) => {
+      const results = await Property.aggregate([
+        { $match: combineFilters(filters, facet.filter) },
+        ...facet.pipeline
+      ]);
+      return [name, results];
+    }));
+
+    const facets = {};
+    entries.forEach(([name, results]) => {
+      if (name === 'priceBand') {
+        facets.priceBand = PRICE_BANDS.map(band => {
+          const bucket = results.find(r => r._id === band.min);
+          return { ...band, count: bucket ? bucket.count : 0 };
+        });
+      } else {
+        facets[name] = results.map(r => ({ value: r._id, count: r.count }));
+      }
+    });
+
+    res.json({
+      success: true,
+      data: facets
+    });
+
+  } catch (error) {
+    console.error('Get property facets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching search facets'
+    });
+  }
+};
+
+
+// Grid-clustered markers for the map view; single-listing cells carry the listing itself
+const getMapClusters = async (req, res) => {
+  try {
+    const bounds = parseBounds(req.query.bounds);
+    if (!bounds) {
+      return res.status(400).json({
+        success: false,
+        message: 'bounds=swLng,swLat,neLng,neLat is required'
+      });
+    }
+
+    const { filters } = await buildPropertyFilters(req.query);
+    const query = combineFilters(filters);
+    const cellSize = clusterCellSize(req.query.zoom);
+
+    const clusters = await Property.aggregate([
+      { $match: query },
+      {
+        $project: {
+          title: 1,
+          price: 1,
+          lng: { $arrayElemAt: ['$geoLocation.coordinates', 0] },
+          lat: { $arrayElemAt: ['$geoLocation.coordinates', 1] }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: ['$lng', cellSize] } },
+            y: { $floor: { $divide: ['$lat', cellSize] } }
+          },
+          count: { $sum: 1 },
+          lng: { $avg: '$lng' },
+          lat: { $avg: '$lat' },
+          minPrice: { $min: '$price' },
+          maxPrice: { $max: '$price' },
+          property: { $first: { _id: '$_id', title: '$title', price: '$price' } }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 500 }
+    ]);
+
+    res.json({
+      success: true,
+      zoom: parseInt(req.query.zoom) || 10,
+      count: clusters.length,
+      data: clusters.map(c => ({
+        coordinates: [c.lng, c.lat],
+        count: c.count,
+        minPrice: c.minPrice,
+        maxPrice: c.maxPrice,
+        property: c.count === 1 ? c.property : undefined
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get map clusters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching map clusters'
+    });
+  }
+};
+
+
 const getProperty = async (req, res) => {
   try {
     const property = await Property.findById(req.params.id)
-      .populate('owner', 'name email avatar phone');
+      .populate('owner', 'name email avatar phone')
+      .populate('priceHistory.changedBy', 'name');
 
-    if (!property) {
+    if (!property || (!property.isPublic() && !canManageListing(req.user, property))) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
@@ -133,15 +355,24 @@ const getProperty = async (req, res) => {
       await Property.findByIdAndUpdate(
         req.params.id,
         { $inc: { views: 1 } },
-        { new: false }
+        { new: false, timestamps: false }
       );
     } catch (viewError) {
       console.error('View increment error:', viewError);
     }
 
+    const data = { ...property.toObject(), priceInsights: property.getPriceInsights() };
+    if (canManageListing(req.user, property)) data.quality = getListingQuality(property);
+    const displayUnit = req.query.areaUnit ? normalizeAreaUnit(req.query.areaUnit) : null;
+    if (displayUnit) data.displayArea = getDisplayArea(property, displayUnit);
+    if (req.user) {
+      const favoritedIds = await Favorite.getFavoritedIds(req.user._id, [property._id]);
+      data.isFavorite = favoritedIds.has(property._id.toString());
+    }
+
     res.json({
       success: true,
-      data: property
+      data
     });
 
   } catch (error) {
@@ -163,10 +394,67 @@ const getProperty = async (req, res) => {
 };
 
 
+// GET /compare?ids=a,b,c with optional loan terms downPayment (%), rate (%) and tenure (years)
+const compareProperties = async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+      return res.status(400).json({
+        success: false,
+        message: `Select between ${MIN_COMPARE} and ${MAX_COMPARE} properties to compare`
+      });
+    }
+
+    // Only listings anyone can open; drafts and rejected listings are reported as missing
+    const properties = await Property.find({ _id: { $in: ids }, status: { $in: Property.PUBLIC_STATUSES } })
+      .select('-priceHistory');
+    const byId = new Map(properties.map(p => [p._id.toString(), p]));
+
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some properties were not found',
+        missing
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildComparison(ids.map(id => byId.get(id)), parseLoanOptions(req.query))
+    });
+
+  } catch (error) {
+    console.error('Compare properties error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing properties'
+    });
+  }
+};
+
+
 const createProperty = async (req, res) => {
   try {
     
-    const propertyData = { ...req.body };
+    const { data: propertyData, errors } = normalizeListing(req.body);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map(e => e.message).join(', ')
+      });
+    }
+
+    SYSTEM_FIELDS.forEach(field => delete propertyData[field]);
     propertyData.owner = req.user._id;
 
    
@@ -183,13 +471,35 @@ const createProperty = async (req, res) => {
       };
     }
 
-    const property = await Property.create(propertyData);
+    // New listings start as drafts; pass submit: true to send straight to review
+    propertyData.status = 'draft';
+    propertyData.statusHistory = [{ status: 'draft', changedBy: req.user._id }];
+
+    // Likely duplicates are recorded for moderators and flagged to the owner, not blocked
+    const duplicates = await findDuplicates(Property, propertyData);
+    propertyData.possibleDuplicates = toDuplicateRefs(duplicates);
+
+    let property = await Property.create(propertyData);
+    if (req.body.submit === true || req.body.submit === 'true') {
+      property = await changeListingStatus(property, 'pending_review', { by: req.user._id });
+    }
 
-    res.status(201).json({
+    const response = {
       success: true,
-      message: 'Property created successfully',
-      data: property
-    });
+      message: property.status === 'pending_review'
+        ? 'Property submitted for review'
+        : 'Property saved as draft',
+      data: property,
+      quality: getListingQuality(property)
+    };
+
+    const visibleDuplicates = describeDuplicates(duplicates, req.user);
+    if (visibleDuplicates.length) {
+      response.warning = 'This listing looks like a property that is already listed';
+      response.possibleDuplicates = visibleDuplicates;
+    }
+
+    res.status(201).json(response);
 
   } catch (error) {
     console.error('Create property error:', error);
@@ -229,27 +539,71 @@ const updateProperty = async (req, res) => {
     }
 
    
-    if (property.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!canActOn(req.user, 'property:update', property.owner)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this property'
       });
     }
 
+    const { data: updates, errors } = normalizeListing(req.body);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map(e => e.message).join(', ')
+      });
+    }
+
+    SYSTEM_FIELDS.forEach(field => delete updates[field]);
+
+    const before = property.toObject();
+
+    let duplicates = [];
+    if (!property.mergedInto && DUPLICATE_FIELDS.some(field => updates[field] !== undefined)) {
+      duplicates = await findDuplicates(Property, { ...before, ...updates });
+      updates.possibleDuplicates = toDuplicateRefs(duplicates);
+    }
+
     property = await Property.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
-        runValidators: true
+        runValidators: true,
+        changedBy: req.user._id
       }
     );
 
-    res.json({
+    // Moderators' own edits need no second look
+    const sentForReview = !hasPermission(req.user, 'property:moderate') &&
+      needsReviewAfterEdit(before, property.toObject());
+    if (sentForReview) {
+      await changeListingStatus(property, 'pending_review', {
+        by: req.user._id,
+        reason: 'Edited after approval'
+      });
+    }
+
+    // Emails go out in the background so the owner is not kept waiting
+    notifyFavoriters(before, property)
+      .catch(error => console.error('Favorite alert error:', error));
+
+    const response = {
       success: true,
-      message: 'Property updated successfully',
-      data: property
-    });
+      message: sentForReview
+        ? 'Property updated and sent for review; it will be shown again once approved'
+        : 'Property updated successfully',
+      data: property,
+      quality: getListingQuality(property)
+    };
+
+    const visibleDuplicates = describeDuplicates(duplicates, req.user);
+    if (visibleDuplicates.length) {
+      response.warning = 'This listing looks like a property that is already listed';
+      response.possibleDuplicates = visibleDuplicates;
+    }
+
+    res.json(response);
 
   } catch (error) {
     console.error('Update property error:', error);
@@ -289,18 +643,28 @@ const deleteProperty = async (req, res) => {
     }
 
    
-    if (property.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!canActOn(req.user, 'property:delete', property.owner)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this property'
       });
     }
 
-    await Property.findByIdAndDelete(req.params.id);
+    // Moved to the trash; it can be restored until the purge job removes it for good
+    await property.softDelete(req.user._id);
+    await Booking.cancelForProperties([property._id], req.user._id, 'The listing was removed');
+
+    notifyFavoriters(property.toObject(), null)
+      .catch(error => console.error('Favorite alert error:', error));
 
     res.json({
       success: true,
-      message: 'Property deleted successfully'
+      message: `Property moved to trash. It can be restored for ${getRetentionDays()} days`,
+      data: {
+        _id: property._id,
+        deletedAt: property.deletedAt,
+        purgeAt: property.getPurgeDate()
+      }
     });
 
   } catch (error) {
@@ -321,6 +685,279 @@ const deleteProperty = async (req, res) => {
 };
 
 
+// Deleted listings still in the trash: the caller's own, or everyone's with ?scope=all for admins
+const getPropertyTrash = async (req, res) => {
+  try {
+    const query = { deletedAt: { $ne: null } };
+    if (req.query.scope === 'all') {
+      if (!hasPermission(req.user, 'property:delete:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view all deleted listings'
+        });
+      }
+    } else {
+      query.owner = req.user._id;
+    }
+
+    const properties = await Property.find(query)
+      .select('title price status city locality images owner deletedAt deletedBy')
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      count: properties.length,
+      retentionDays: getRetentionDays(),
+      data: properties.map(p => ({ ...p.toObject(), purgeAt: p.getPurgeDate() }))
+    });
+
+  } catch (error) {
+    console.error('Get property trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deleted properties'
+    });
+  }
+};
+
+
+const restoreProperty = async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found in trash'
+      });
+    }
+
+    if (!canActOn(req.user, 'property:delete', property.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this property'
+      });
+    }
+
+    await property.restore();
+    await Favorite.updateMany({ property: property._id }, { $unset: { propertyRemovedAt: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Property restored',
+      data: property
+    });
+
+  } catch (error) {
+    console.error('Restore property error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring property'
+    });
+  }
+};
+
+
+// All of the current user's listings, whatever their status, with tips to improve each
+const getMyProperties = async (req, res) => {
+  try {
+    const query = { owner: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const properties = await Property.find(query)
+      .select('-priceHistory -statusHistory')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: properties.length,
+      data: properties.map(p => ({ ...p.toObject(), quality: getListingQuality(p) }))
+    });
+
+  } catch (error) {
+    console.error('Get my properties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your properties'
+    });
+  }
+};
+
+
+const submitProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!canActOn(req.user, 'property:update', property.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to submit this property'
+      });
+    }
+
+    if (!property.canTransitionTo('pending_review')) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${property.status} listing cannot be submitted for review`
+      });
+    }
+
+    await changeListingStatus(property, 'pending_review', { by: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Property submitted for review',
+      data: property
+    });
+
+  } catch (error) {
+    console.error('Submit property error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting property'
+    });
+  }
+};
+
+
+// Owner-driven transitions: withdraw to draft, mark sold/rented, pause and resume
+const updatePropertyStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!OWNER_STATUS_CHANGES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${OWNER_STATUS_CHANGES.join(', ')}`
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!canActOn(req.user, 'property:update', property.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this property'
+      });
+    }
+
+    // Going live again only resumes a paused listing; expired ones are renewed instead
+    const allowed = property.canTransitionTo(status) && (status !== 'active' || property.status === 'inactive');
+    if (!allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${property.status} to ${status}`
+      });
+    }
+
+    await changeListingStatus(property, status, { by: req.user._id, reason });
+
+    res.json({
+      success: true,
+      message: `Property marked as ${status.replace('_', ' ')}`,
+      data: property
+    });
+
+  } catch (error) {
+    console.error('Update property status error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating property status'
+    });
+  }
+};
+
+
+const renewProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!canActOn(req.user, 'property:update', property.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to renew this property'
+      });
+    }
+
+    if (property.status !== 'active' && property.status !== 'expired') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active or expired listings can be renewed'
+      });
+    }
+
+    await renewListing(property, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Listing renewed until ${property.expiresAt.toDateString()}`,
+      data: property
+    });
+
+  } catch (error) {
+    console.error('Renew property error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error renewing property'
+    });
+  }
+};
+
+
 const getFeaturedProperties = async (req, res) => {
   try {
     const properties = await Property.find({
@@ -352,5 +989,14 @@ module.exports = {
   createProperty,
   updateProperty,
   deleteProperty,
-  getFeaturedProperties
+  getPropertyTrash,
+  restoreProperty,
+  getFeaturedProperties,
+  getMyProperties,
+  submitProperty,
+  updatePropertyStatus,
+  renewProperty,
+  getPropertyFacets,
+  getMapClusters,
+  compareProperties
 };
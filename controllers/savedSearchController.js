@@ -0,0 +1,195 @@
+const SavedSearch = require('../models/SavedSearch');
+
+const MAX_SAVED_SEARCHES = 25;
+
+
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .select('-pendingMatches -unsubscribeToken')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: savedSearches.length,
+      data: savedSearches
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved searches'
+    });
+  }
+};
+
+
+const createSavedSearch = async (req, res) => {
+  try {
+    const { name, query, frequency } = req.body;
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name,
+      query: SavedSearch.sanitizeQuery(query),
+      frequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: savedSearch
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving search'
+    });
+  }
+};
+
+
+const updateSavedSearch = async (req, res) => {
+  try {
+    const { name, query, frequency } = req.body;
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (name !== undefined) savedSearch.name = name;
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    if (query !== undefined) {
+      savedSearch.query = SavedSearch.sanitizeQuery(query);
+      savedSearch.pendingMatches = [];
+      savedSearch.lastRunAt = new Date();
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: savedSearch
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved search'
+    });
+  }
+};
+
+
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting saved search'
+    });
+  }
+};
+
+
+// One-click unsubscribe from the alert email; GET for the link, POST for List-Unsubscribe-Post
+const unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { frequency: 'off', pendingMatches: [] },
+      { new: true }
+    );
+
+    if (req.method === 'POST') {
+      return res.status(savedSearch ? 200 : 404).json({
+        success: !!savedSearch,
+        message: savedSearch ? 'Unsubscribed successfully' : 'Saved search not found'
+      });
+    }
+
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    res.redirect(`${clientUrl}/saved-searches?unsubscribed=${savedSearch ? 'success' : 'failed'}`);
+
+  } catch (error) {
+    console.error('Unsubscribe saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unsubscribing'
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch
+};
@@ -0,0 +1,276 @@
+const User = require('../models/User');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { comparePassword } = require('../utils/password');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginGuard');
+const { SECRET_FIELDS, verifySecondFactor } = require('./twoFactorController');
+const { hasPermission } = require('../config/permissions');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  createPersonalToken: issuePersonalToken
+} = require('../utils/tokens');
+
+const MAX_PERSONAL_TOKENS = 20;
+
+// Scopes a user may only put on a token while holding the matching permission
+const SCOPE_PERMISSIONS = {
+  moderation: 'property:moderate',
+  admin: 'admin:access'
+};
+
+const getTokenMeta = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+
+// Password grant for mobile and scripts; mirrors the session login checks
+const issueTokens = async (req, res) => {
+  try {
+    const { email, password, code, recoveryCode } = req.body;
+
+    const user = await User.findOne({ email: String(email || '').toLowerCase() }).select(SECRET_FIELDS);
+
+    const blocked = await checkLoginAllowed(user, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        success: false,
+        message: blocked.message,
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    if (!user || !user.password || !password || !await comparePassword(password, user.password)) {
+      await recordLoginFailure(user, req.ip, email);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      if (!code && !recoveryCode) {
+        return res.status(401).json({
+          success: false,
+          twoFactorRequired: true,
+          message: 'Two-factor code required'
+        });
+      }
+
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        await recordLoginFailure(user, req.ip, email);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+    }
+
+    await recordLoginSuccess(user);
+
+    res.json({
+      success: true,
+      data: await issueTokenPair(user, getTokenMeta(req))
+    });
+
+  } catch (error) {
+    console.error('Issue tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing tokens'
+    });
+  }
+};
+
+
+const refreshTokens = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = refreshToken && await rotateRefreshToken(refreshToken, getTokenMeta(req));
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing tokens'
+    });
+  }
+};
+
+
+const revokeToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking token'
+    });
+  }
+};
+
+
+const getPersonalTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      scopes: PersonalAccessToken.TOKEN_SCOPES,
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Get personal tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tokens'
+    });
+  }
+};
+
+
+const createPersonalToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    // A token must not be able to mint further tokens
+    if (req.authMethod === 'personal_token') {
+      return res.status(403).json({
+        success: false,
+        message: 'Personal access tokens cannot create other tokens'
+      });
+    }
+
+    const denied = (scopes || []).filter(scope => SCOPE_PERMISSIONS[scope] && !hasPermission(req.user, SCOPE_PERMISSIONS[scope]));
+    if (denied.length) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not allowed to create tokens with the ${denied.join(', ')} scope`
+      });
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_PERSONAL_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_PERSONAL_TOKENS} active tokens`
+      });
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+      : undefined;
+
+    const { token, record } = await issuePersonalToken(req.user._id, {
+      name,
+      scopes: Array.isArray(scopes) ? scopes : [],
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now, it will not be shown again',
+      data: {
+        ...record.toObject(),
+        tokenHash: undefined,
+        token
+      }
+    });
+
+  } catch (error) {
+    console.error('Create personal token error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating token'
+    });
+  }
+};
+
+
+const deletePersonalToken = async (req, res) => {
+  try {
+    const token = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token revoked'
+    });
+
+  } catch (error) {
+    console.error('Delete personal token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking token'
+    });
+  }
+};
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  revokeToken,
+  getPersonalTokens,
+  createPersonalToken,
+  deletePersonalToken
+};
@@ -0,0 +1,40 @@
+const runSavedSearchAlerts = require('./savedSearchAlerts');
+const runListingExpiry = require('./listingExpiry');
+const runTrashPurge = require('./trashPurge');
+
+// In-process scheduler for background jobs. Set DISABLE_JOBS=true on extra
+// instances so only one server runs them.
+const JOBS = [
+  { name: 'saved-search-alerts', intervalMs: 15 * 60 * 1000, run: runSavedSearchAlerts },
+  { name: 'listing-expiry', intervalMs: 60 * 60 * 1000, run: runListingExpiry },
+  { name: 'trash-purge', intervalMs: 6 * 60 * 60 * 1000, run: runTrashPurge }
+];
+
+
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️  Background jobs disabled');
+    return;
+  }
+
+  JOBS.forEach(job => {
+    let running = false;
+
+    setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        const result = await job.run();
+        console.log(`⏱️  Job ${job.name} finished`, result || '');
+      } catch (error) {
+        console.error(`❌ Job ${job.name} failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+  });
+
+  console.log(`⏱️  Scheduled ${JOBS.length} background job(s)`);
+};
+
+module.exports = { startJobs };
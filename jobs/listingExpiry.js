@@ -0,0 +1,48 @@
+const Property = require('../models/Property');
+const { emailTemplates } = require('../utils/emailService');
+const { emailOwner, changeListingStatus } = require('../utils/listingLifecycle');
+
+const REMINDER_DAYS = 3;
+const BATCH_SIZE = 200;
+
+
+// Expires active listings whose period has ended and reminds owners a few days before
+const runListingExpiry = async () => {
+  const now = new Date();
+  let expired = 0;
+  let reminded = 0;
+
+  const due = await Property.find({ status: 'active', expiresAt: { $lte: now } })
+    .limit(BATCH_SIZE);
+
+  for (const property of due) {
+    try {
+      await changeListingStatus(property, 'expired', { reason: 'Listing period ended' });
+      expired++;
+    } catch (error) {
+      console.error(`Listing expiry error (${property._id}):`, error.message);
+    }
+  }
+
+  const reminderCutoff = new Date(now.getTime() + REMINDER_DAYS * 24 * 60 * 60 * 1000);
+  const expiring = await Property.find({
+    status: 'active',
+    expiresAt: { $gt: now, $lte: reminderCutoff },
+    expiryReminderSentAt: null
+  }).limit(BATCH_SIZE);
+
+  for (const property of expiring) {
+    try {
+      await emailOwner(property, name => emailTemplates.listingExpiring(name, property));
+      property.expiryReminderSentAt = now;
+      await property.save();
+      reminded++;
+    } catch (error) {
+      console.error(`Listing expiry reminder error (${property._id}):`, error.message);
+    }
+  }
+
+  return { expired, reminded };
+};
+
+module.exports = runListingExpiry;
@@ -0,0 +1,109 @@
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const { buildPropertyFilters, combineFilters } = require('../utils/propertyQuery');
+const { sendEmail, emailTemplates } = require('../utils/emailService');
+
+const MAX_MATCHES_PER_RUN = 20;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const getApiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+
+// New listings and price drops matching a saved search since its last run. A listing
+// is new when it went live (publishedAt), which for moderated listings can be long
+// after it was created.
+const findMatches = async (savedSearch, since) => {
+  const { filters } = await buildPropertyFilters(savedSearch.query || {});
+  const query = combineFilters(filters);
+
+  query.$and = [{
+    $or: [
+      { publishedAt: { $gt: since } },
+      { priceChangedAt: { $gt: since }, $expr: { $lt: ['$price', '$previousPrice'] } }
+    ]
+  }];
+
+  const properties = await Property.find(query)
+    .select('title price previousPrice priceChangedAt publishedAt city locality')
+    .sort({ publishedAt: -1 })
+    .limit(MAX_MATCHES_PER_RUN);
+
+  return properties.map(property => ({
+    property: property._id,
+    reason: property.publishedAt > since ? 'new' : 'price_drop',
+    previousPrice: property.previousPrice,
+    price: property.price
+  }));
+};
+
+
+const notify = async (savedSearch, matches) => {
+  const user = savedSearch.user;
+  const properties = await Property.find({ _id: { $in: matches.map(m => m.property) } })
+    .select('title city locality');
+  const byId = new Map(properties.map(p => [p._id.toString(), p]));
+
+  const items = matches
+    .map(match => ({ ...match, property: byId.get(match.property.toString()) }))
+    .filter(match => match.property);
+  if (!items.length) return;
+
+  const unsubscribeUrl = `${getApiUrl()}/api/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`;
+  const template = emailTemplates.savedSearchAlert(user.name, savedSearch.name, items, unsubscribeUrl);
+
+  await sendEmail({
+    to: user.email,
+    ...template,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+};
+
+
+const runSavedSearchAlerts = async () => {
+  const now = new Date();
+  const cursor = SavedSearch.find({ frequency: { $in: ['instant', 'daily'] } })
+    .populate('user', 'name email isActive')
+    .cursor();
+
+  let notified = 0;
+  for await (const savedSearch of cursor) {
+    try {
+      if (!savedSearch.user || !savedSearch.user.isActive) continue;
+
+      const matches = await findMatches(savedSearch, savedSearch.lastRunAt || savedSearch.createdAt);
+      savedSearch.lastRunAt = now;
+
+      if (savedSearch.frequency === 'instant') {
+        if (matches.length) {
+          await notify(savedSearch, matches);
+          savedSearch.lastNotifiedAt = now;
+          notified++;
+        }
+      } else {
+        const seen = new Set(savedSearch.pendingMatches.map(m => `${m.property}|${m.reason}`));
+        matches
+          .filter(m => !seen.has(`${m.property}|${m.reason}`))
+          .forEach(m => savedSearch.pendingMatches.push(m));
+
+        const digestDue = !savedSearch.lastNotifiedAt || now - savedSearch.lastNotifiedAt >= DIGEST_INTERVAL_MS;
+        if (digestDue && savedSearch.pendingMatches.length) {
+          await notify(savedSearch, savedSearch.pendingMatches.slice(-MAX_MATCHES_PER_RUN).map(m => m.toObject()));
+          savedSearch.pendingMatches = [];
+          savedSearch.lastNotifiedAt = now;
+          notified++;
+        }
+      }
+
+      await savedSearch.save();
+    } catch (error) {
+      console.error(`Saved search alert error (${savedSearch._id}):`, error.message);
+    }
+  }
+
+  return { notified };
+};
+
+module.exports = runSavedSearchAlerts;
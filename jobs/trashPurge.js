@@ -0,0 +1,82 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Favorite = require('../models/Favorite');
+const Booking = require('../models/Booking');
+const Contact = require('../models/Contact');
+const Availability = require('../models/Availability');
+const Collection = require('../models/Collection');
+const SavedSearch = require('../models/SavedSearch');
+const { getRetentionDays } = require('../utils/softDelete');
+
+const BATCH_SIZE = 200;
+
+
+// Permanently removes listings and everything that points at them
+const purgeProperties = async (ids) => {
+  if (!ids.length) return 0;
+
+  await Promise.all([
+    Favorite.deleteMany({ property: { $in: ids } }),
+    Booking.deleteMany({ property: { $in: ids } }),
+    Contact.deleteMany({ property: { $in: ids } }),
+    Availability.deleteMany({ property: { $in: ids } })
+  ]);
+  const { deletedCount } = await Property.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
+
+// Deletes listings and accounts that have been in the trash longer than the
+// retention period. An account takes its listings, favorites, collections, saved
+// searches, visit requests and enquiries with it.
+const runTrashPurge = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  let properties = 0;
+  let users = 0;
+
+  const expiredListings = await Property.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+  properties += await purgeProperties(expiredListings.map(p => p._id));
+
+  const expiredUsers = await User.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const user of expiredUsers) {
+    try {
+      // Includes listings an admin restored after the account was deleted
+      const owned = await Property.find({ owner: user._id })
+        .select('_id')
+        .setOptions({ withDeleted: true })
+        .lean();
+      properties += await purgeProperties(owned.map(p => p._id));
+
+      // Collaborators keep what they added to the account's collections as plain favorites
+      const collections = await Collection.find({ owner: user._id }).select('_id').lean();
+      await Favorite.updateMany(
+        { collectionId: { $in: collections.map(c => c._id) } },
+        { collectionId: null, position: 0 }
+      );
+
+      await Promise.all([
+        Favorite.deleteMany({ user: user._id }),
+        Booking.deleteMany({ user: user._id }),
+        Contact.deleteMany({ user: user._id }),
+        Collection.deleteMany({ owner: user._id }),
+        Collection.updateMany({ 'collaborators.user': user._id }, { $pull: { collaborators: { user: user._id } } }),
+        SavedSearch.deleteMany({ user: user._id })
+      ]);
+      await User.deleteOne({ _id: user._id });
+      users++;
+    } catch (error) {
+      console.error(`Trash purge error (user ${user._id}):`, error.message);
+    }
+  }
+
+  return { properties, users };
+};
+
+module.exports = runTrashPurge;
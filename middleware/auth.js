@@ -1,40 +1,177 @@
 
-const isAuthenticated = (req, res, next) => {
-  console.log('Auth Check - Session:', req.session);
-  console.log('Auth Check - User:', req.user);
-  
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const {
+  verifyAccessToken,
+  findPersonalToken,
+  isPersonalToken
+} = require('../utils/tokens');
+
+
+// Resolves "Authorization: Bearer <token>" to a user. Accepts short-lived JWT
+// access tokens and personal access tokens; sets req.authMethod and, for
+// personal tokens, req.tokenScopes. Returns null when no valid token is sent.
+const resolveBearerUser = async (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  if (isPersonalToken(token)) {
+    const record = await findPersonalToken(token);
+    if (!record) return null;
+
+    const user = await User.findById(record.user);
+    if (!user || !user.isActive) return null;
+
+    record.lastUsedAt = new Date();
+    await record.save();
+
+    req.authMethod = 'personal_token';
+    req.tokenScopes = record.scopes;
+    return user;
+  }
+
+  const userId = verifyAccessToken(token);
+  if (!userId) return null;
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) return null;
+
+  req.authMethod = 'access_token';
+  return user;
+};
+
+
+// Personal access tokens only work on routes that declare a scope with requireScope;
+// everything else (2FA, token management, staff tools) is for real sign-ins only
+const routeDeclaresScope = (req) => {
+  return Boolean(req.route && req.route.stack.some(layer => layer.handle && layer.handle.requiredScope));
+};
+
+
+const isAuthenticated = async (req, res, next) => {
   if (req.isAuthenticated && req.isAuthenticated()) {
-    console.log('User authenticated:', req.user.email);
+    req.authMethod = 'session';
     return next();
   }
-  
-  console.log('User not authenticated');
+
+  try {
+    const user = await resolveBearerUser(req);
+    if (user && req.authMethod === 'personal_token' && !routeDeclaresScope(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Personal access tokens cannot be used for this resource'
+      });
+    }
+    if (user) {
+      req.user = user;
+      return next();
+    }
+  } catch (error) {
+    console.error('Bearer auth error:', error);
+  }
+
   return res.status(401).json({
     success: false,
-    message: 'Please login with Google to access this resource'
+    message: 'Please login to access this resource'
   });
 };
 
 
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Scopes that also grant others, so admin tokens made before a scope was split out keep working
+const IMPLIED_SCOPES = {
+  admin: ['moderation']
+};
+
+
+// Personal access tokens are limited to their scopes; sessions and access tokens act as the user
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    const scopes = req.tokenScopes || [];
+    if (req.authMethod !== 'personal_token' ||
+        scopes.some(s => s === scope || (IMPLIED_SCOPES[s] || []).includes(scope))) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: `This token is missing the required scope: ${scope}`
+    });
+  };
+
+  // Read by isAuthenticated to let personal access tokens onto the route
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+
+const isMissingRequiredTwoFactor = (user) => {
+  return hasPermission(user, 'admin:access') &&
+    process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    !(user.twoFactor && user.twoFactor.enabled);
+};
+
+
+// Route-level permission gate; ownership checks happen in controllers via canActOn
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  if (isMissingRequiredTwoFactor(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Enable two-factor authentication to access admin resources'
+    });
+  }
+
+  return next();
+};
+
+
+const isAdmin = requirePermission('admin:access');
+
+
+// Google accounts arrive with a provider-verified address
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && (req.user.emailVerified || req.user.provider === 'google')) {
     return next();
   }
-  
+
   return res.status(403).json({
     success: false,
-    message: 'Admin access required'
+    message: 'Please verify your email address to access this resource'
   });
 };
 
 
-const optionalAuth = (req, res, next) => {
+// Identifies the user from the session or a bearer token when present, but lets guests through.
+// An invalid or expired token is treated as a guest request rather than rejected.
+const optionalAuth = async (req, res, next) => {
+  if (req.isAuthenticated && req.isAuthenticated()) {
+    req.authMethod = 'session';
+    return next();
+  }
+
+  try {
+    const user = await resolveBearerUser(req);
+    if (user) req.user = user;
+  } catch (error) {
+    console.error('Optional auth error:', error);
+  }
 
   next();
 };
 
 module.exports = {
+  resolveBearerUser,
   isAuthenticated,
+  requireScope,
   isAdmin,
+  requirePermission,
+  requireVerifiedEmail,
   optionalAuth
 };
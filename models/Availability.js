@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const windowSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'Start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'End time must be in HH:MM format']
+  }
+}, { _id: false });
+
+const availabilitySchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    unique: true
+  },
+  weeklyWindows: [windowSchema],
+  blackoutDates: [{
+    type: Date
+  }],
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: [15, 'Slot length must be at least 15 minutes'],
+    max: [240, 'Slot length cannot exceed 240 minutes']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+
+availabilitySchema.path('weeklyWindows').validate(function(windows) {
+  return windows.every(w => toMinutes(w.startTime) < toMinutes(w.endTime));
+}, 'Each availability window must end after it starts');
+
+
+// All slot start times for a single day, before any bookings are removed
+availabilitySchema.methods.slotsForDate = function(date) {
+  const day = startOfDay(date);
+
+  const isBlackout = this.blackoutDates.some(d => startOfDay(d).getTime() === day.getTime());
+  if (isBlackout) return [];
+
+  const slots = [];
+  this.weeklyWindows
+    .filter(w => w.dayOfWeek === day.getDay())
+    .forEach(w => {
+      const end = toMinutes(w.endTime);
+      for (let start = toMinutes(w.startTime); start + this.slotMinutes <= end; start += this.slotMinutes) {
+        slots.push(toTime(start));
+      }
+    });
+
+  return [...new Set(slots)].sort();
+};
+
+
+// Open slots per day between two dates (inclusive), with booked and elapsed slots removed
+availabilitySchema.methods.getOpenSlots = async function(from, to, excludeBookingId) {
+  const Booking = mongoose.model('Booking');
+
+  const rangeStart = startOfDay(from);
+  const rangeEnd = startOfDay(to);
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+  const bookingQuery = {
+    property: this.property,
+    visitDate: { $gte: rangeStart, $lt: rangeEnd },
+    status: { $in: ['pending', 'confirmed'] }
+  };
+  if (excludeBookingId) {
+    bookingQuery._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find(bookingQuery).select('visitDate visitTime');
+
+  const booked = new Set(bookings.map(b => `${startOfDay(b.visitDate).getTime()}|${b.visitTime}`));
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const today = startOfDay(now).getTime();
+
+  const days = [];
+  for (const day = new Date(rangeStart); day < rangeEnd; day.setDate(day.getDate() + 1)) {
+    const dayTime = day.getTime();
+    if (dayTime < today) continue;
+
+    const slots = this.slotsForDate(day).filter(time => {
+      if (booked.has(`${dayTime}|${time}`)) return false;
+      return dayTime > today || toMinutes(time) > nowMinutes;
+    });
+
+    days.push({
+      date: new Date(day),
+      slots
+    });
+  }
+
+  return days;
+};
+
+
+availabilitySchema.methods.isSlotOpen = async function(visitDate, visitTime, excludeBookingId) {
+  const [day] = await this.getOpenSlots(visitDate, visitDate, excludeBookingId);
+  return !!day && day.slots.includes(visitTime);
+};
+
+module.exports = mongoose.model('Availability', availabilitySchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; completed and cancelled visits are final
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
 const bookingSchema = new mongoose.Schema({
   property: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +19,10 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   visitDate: {
     type: Date,
     required: true
@@ -28,13 +40,106 @@ const bookingSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'completed', 'cancelled'],
     default: 'pending'
   },
+  durationMinutes: {
+    type: Number,
+    default: 30
+  },
   contactInfo: {
     name: String,
     phone: String,
     email: String
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  rescheduleHistory: [{
+    visitDate: Date,
+    visitTime: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Bumped on every reschedule or status change so calendar clients pick up updates
+  sequence: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+
+bookingSchema.index({ property: 1, visitDate: 1, visitTime: 1 });
+bookingSchema.index({ user: 1, visitDate: -1 });
+bookingSchema.index({ owner: 1, visitDate: -1 });
+
+
+bookingSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('visitDate') || this.isModified('visitTime') || this.isModified('status'))) {
+    this.sequence += 1;
+  }
+  next();
+});
+
+
+bookingSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+
+// Finds an active booking on the same property, day and time slot
+bookingSchema.statics.findClash = function(propertyId, visitDate, visitTime, excludeId) {
+  const dayStart = new Date(visitDate);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  const query = {
+    property: propertyId,
+    visitDate: { $gte: dayStart, $lt: dayEnd },
+    visitTime,
+    status: { $in: ['pending', 'confirmed'] }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.findOne(query);
+};
+
+// Cancels upcoming pending/confirmed visits to listings that are going away. Past
+// visits are left for the host to mark completed.
+bookingSchema.statics.cancelForProperties = function(propertyIds, cancelledBy, reason) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return this.updateMany(
+    {
+      property: { $in: propertyIds },
+      visitDate: { $gte: today },
+      status: { $in: ['pending', 'confirmed'] }
+    },
+    {
+      status: 'cancelled',
+      cancelledBy,
+      cancellationReason: reason,
+      // updateMany skips the save hook that bumps this for calendar clients
+      $inc: { sequence: 1 }
+    }
+  );
+};
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const MAX_COLLABORATORS = 10;
+
+// A named board of favorites ("Pune 3BHK", "Investment"). Items are the owner's
+// Favorite documents pointing at this collection, ordered by Favorite.position.
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [60, 'Collection name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  collaborators: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: {
+      validator: list => list.length <= MAX_COLLABORATORS,
+      message: `A collection can have at most ${MAX_COLLABORATORS} collaborators`
+    }
+  },
+  // Read-only share link; unset when sharing is turned off
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+
+collectionSchema.index({ owner: 1, createdAt: -1 });
+collectionSchema.index({ 'collaborators.user': 1 });
+
+
+collectionSchema.methods.isOwner = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+
+collectionSchema.methods.canView = function(userId) {
+  return this.isOwner(userId) ||
+    this.collaborators.some(c => c.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -18,7 +18,46 @@ const favoriteSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
-  }
+  },
+  // What the listing looked like when saved (or last marked as seen)
+  snapshot: {
+    title: String,
+    price: Number,
+    status: String,
+    takenAt: Date
+  },
+  propertyRemovedAt: {
+    type: Date
+  },
+  // Board this favorite is filed under; null means "unsorted".
+  // (`collection` is reserved by Mongoose, hence the Id suffix.)
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Notes left by collaborators of the collection
+  comments: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -29,4 +68,59 @@ favoriteSchema.index({ user: 1, property: 1 }, { unique: true });
 
 favoriteSchema.index({ user: 1, addedAt: -1 });
 
+
+favoriteSchema.index({ collectionId: 1, position: 1 });
+
+
+// Which of the given properties the user has favorited, as a Set of id strings
+favoriteSchema.statics.getFavoritedIds = async function(userId, propertyIds) {
+  const favorites = await this.find({
+    user: userId,
+    property: { $in: propertyIds }
+  }).select('property');
+
+  return new Set(favorites.map(f => f.property.toString()));
+};
+
+// Price and status differences between two states of a listing; null when nothing
+// a saver cares about changed. A missing `after` means the listing was deleted.
+favoriteSchema.statics.describeChanges = function(before, after) {
+  if (!before) return null;
+  if (!after) return { removed: true };
+
+  const changes = {};
+
+  if (before.price && after.price && before.price !== after.price) {
+    changes.price = {
+      from: before.price,
+      to: after.price,
+      changePercent: Math.round((after.price - before.price) / before.price * 1000) / 10
+    };
+  }
+
+  if (before.status && after.status && before.status !== after.status) {
+    changes.status = { from: before.status, to: after.status };
+  }
+
+  return Object.keys(changes).length ? changes : null;
+};
+
+
+favoriteSchema.statics.buildSnapshot = function(property) {
+  return {
+    title: property.title,
+    price: property.price,
+    status: property.status,
+    takenAt: new Date()
+  };
+};
+
+
+// Expects `property` to be populated (null once the listing is deleted)
+favoriteSchema.methods.getChangesSinceSaved = function() {
+  if (!this.snapshot || !this.snapshot.takenAt) return null;
+  if (!this.property) return { removed: true };
+  return this.constructor.describeChanges(this.snapshot, this.property);
+};
+
 module.exports = mongoose.model('Favorite', favoriteSchema);
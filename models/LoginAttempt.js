@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Failed logins are kept briefly to throttle by IP across all accounts
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 // 1 hour
+  }
+});
+
+
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const TOKEN_SCOPES = [
+  'profile:read',
+  'profile:write',
+  'properties:read',
+  'properties:write',
+  'bookings:read',
+  'bookings:write',
+  'favorites:read',
+  'favorites:write',
+  'moderation',
+  'admin'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: TOKEN_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+personalAccessTokenSchema.statics.TOKEN_SCOPES = TOKEN_SCOPES;
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
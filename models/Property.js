@@ -1,11 +1,34 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+const { PROPERTY_TYPES, LISTING_TYPES, FURNISHING_TYPES } = require('../utils/listing');
+const { AREA_UNITS, toSqft } = require('../utils/area');
+const { getQualityScore } = require('../utils/listingQuality');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// Listing lifecycle. Owners move draft -> pending_review; moderators approve or
+// reject; active listings end as sold/rented or expire unless renewed.
+const STATUS_TRANSITIONS = {
+  draft: ['pending_review'],
+  pending_review: ['active', 'rejected', 'draft'],
+  rejected: ['pending_review', 'draft'],
+  active: ['sold', 'rented', 'expired', 'inactive', 'pending_review'],
+  inactive: ['active', 'pending_review'],
+  expired: ['active'],
+  sold: [],
+  rented: []
+};
+
+// Statuses anyone can open; the rest are only visible to the owner and moderators
+const PUBLIC_STATUSES = ['active', 'sold', 'rented'];
+
+const count = { type: Number, min: 0, validate: { validator: Number.isInteger, message: '{PATH} must be a whole number' } };
 
 const propertySchema = new mongoose.Schema({
   
   title: { type: String, required: true },
   description: { type: String },
-  propertyType: { type: String }, 
-  listingType: { type: String }, 
+  propertyType: { type: String, enum: PROPERTY_TYPES },
+  listingType: { type: String, enum: LISTING_TYPES },
 
   
   address: { type: String },
@@ -13,42 +36,318 @@ const propertySchema = new mongoose.Schema({
   state: { type: String },
   pincode: { type: String },
   locality: { type: String },
-  location: { type: Object }, 
+  location: {
+    lat: { type: Number },
+    lng: { type: Number }
+  },
+  // GeoJSON point derived from location / latitude+longitude for geo queries
+  geoLocation: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
 
   // Specs
-  bedrooms: { type: mongoose.Schema.Types.Mixed }, // Accepts "2" or 2
-  bathrooms: { type: mongoose.Schema.Types.Mixed },
-  balconies: { type: mongoose.Schema.Types.Mixed },
-  area: { type: Number },
-  areaUnit: { type: String, default: 'sqft' },
-  furnished: { type: String },
+  // Loose client input ("3 BHK", "Ground") is converted by utils/listing normalizeListing
+  bedrooms: count,
+  bathrooms: count,
+  balconies: count,
+  area: { type: Number, min: 0 },
+  areaUnit: { type: String, enum: AREA_UNITS, default: 'sqft' },
+  areaSqft: { type: Number }, // area converted to sqft, kept in sync by the hooks below
+  furnishing: { type: String, enum: FURNISHING_TYPES },
   facing: { type: String },
-  floor: { type: mongoose.Schema.Types.Mixed },
-  totalFloors: { type: mongoose.Schema.Types.Mixed },
+  floor: { type: Number }, // 0 = ground, negative = basement levels
+  totalFloors: count,
 
   price: { type: Number, required: true },
-  pricePerSqft: { type: Number },
+  previousPrice: { type: Number },
+  priceChangedAt: { type: Date },
+  originalPrice: { type: Number },
+  priceDropPercent: { type: Number, default: 0 },
+  priceHistory: [{
+    price: { type: Number, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  pricePerSqft: { type: Number }, // derived from price and areaSqft
   maintenanceCharges: { type: Number },
   priceNegotiable: { type: Boolean, default: false },
 
   amenities: [{ type: String }],
 
 
-  yearBuilt: { type: mongoose.Schema.Types.Mixed },
+  yearBuilt: { type: Number },
   possession: { type: String },
-  parkingSpaces: { type: mongoose.Schema.Types.Mixed },
+  parkingSpaces: count,
 
   ownerName: { type: String },
   ownerPhone: { type: String },
   ownerEmail: { type: String },
-  owner: { type: Object }, 
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // The agency's own listing ID; bulk imports match on (owner, externalRef)
+  externalRef: { type: String, trim: true, maxlength: 100 },
+  agent: {
+    name: { type: String },
+    phone: { type: String },
+    email: { type: String },
+    image: { type: String }
+  },
 
   // Images
   images: [{ type: String }], 
+  // 64-bit perceptual hashes (hex) of the images, as returned by the upload endpoint
+  imageHashes: [{ type: String, lowercase: true, match: [/^[0-9a-f]{16}$/, 'Invalid image hash'] }],
 
   // Meta
-  status: { type: String, default: 'active' },
+  status: { type: String, enum: Object.keys(STATUS_TRANSITIONS), default: 'draft' },
+  statusHistory: [{
+    status: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String }
+  }],
+  submittedAt: { type: Date },
+  publishedAt: { type: Date },
+  expiresAt: { type: Date },
+  expiryReminderSentAt: { type: Date },
+  rejectionReason: { type: String, maxlength: 500 },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt: { type: Date },
+  // Duplicate detection (utils/duplicates): listings this one looks like, pairs an
+  // admin said are different, and the listing this one was merged into
+  possibleDuplicates: [{
+    property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    score: { type: Number },
+    detectedAt: { type: Date, default: Date.now }
+  }],
+  dismissedDuplicates: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Property' }],
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', default: null },
+  // 0-100 completeness score from utils/listingQuality, kept in sync by the hooks below
+  qualityScore: { type: Number, min: 0, max: 100, default: 0 },
+  isFeatured: { type: Boolean, default: false },
+  views: { type: Number, default: 0 },
+  inquiries: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
-}, { strict: false });
+}, {
+  // updatedAt drives incremental exports and the syndication feed
+  timestamps: true
+});
+
+// Deleted listings go to the trash (deletedAt) and are purged by jobs/trashPurge
+propertySchema.plugin(softDeletePlugin);
+
+
+// Listings arrive with coordinates in a few shapes; keep geoLocation in sync
+const deriveGeoLocation = (source) => {
+  if (!source) return null;
+  if (source.latitude !== undefined && source.longitude !== undefined) {
+    return toGeoPoint({ lat: source.latitude, lng: source.longitude });
+  }
+  return toGeoPoint(source.location) || toGeoPoint(source.coordinates);
+};
+
+propertySchema.pre('save', function(next) {
+  if (this.isModified('location') || this.isModified('latitude') || this.isModified('longitude') || this.isNew) {
+    const point = deriveGeoLocation(this.toObject());
+    if (point) this.geoLocation = point;
+    else if (this.isModified('location')) this.geoLocation = undefined;
+  }
+  next();
+});
+
+propertySchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  const point = deriveGeoLocation(fields);
+  if (point) {
+    if (update.$set) update.$set.geoLocation = point;
+    else update.geoLocation = point;
+  } else if (fields.location === null) {
+    // A cleared location takes the map pin with it
+    update.$unset = { ...update.$unset, geoLocation: 1 };
+  }
+  next();
+});
+
+
+// areaSqft and pricePerSqft are derived so listings entered in any unit compare fairly
+const deriveAreaFields = ({ area, areaUnit, state, price }) => {
+  const areaSqft = toSqft(area, areaUnit, state);
+  return {
+    areaSqft,
+    pricePerSqft: areaSqft && price ? Math.round(price / areaSqft) : null
+  };
+};
+
+propertySchema.pre('save', function() {
+  if (this.isNew || this.isModified('area') || this.isModified('areaUnit') ||
+      this.isModified('state') || this.isModified('price')) {
+    Object.assign(this, deriveAreaFields(this));
+  }
+});
+
+propertySchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  if (!['area', 'areaUnit', 'state', 'price'].some(field => fields[field] !== undefined)) return;
+
+  const current = await this.model.findOne(this.getQuery()).select('area areaUnit state price').lean();
+  if (!current) return;
+
+  Object.assign(fields, deriveAreaFields({ ...current, ...fields }));
+});
+
+
+// Price history: every asking price with who set it. previousPrice/priceChangedAt
+// feed saved-search alerts and priceDropPercent backs the priceDropped filter.
+// Pass the acting user as doc.$locals.changedBy or the changedBy query option.
+const getDropPercent = (originalPrice, price) => {
+  if (!originalPrice || price >= originalPrice) return 0;
+  return Math.round((originalPrice - price) / originalPrice * 1000) / 10;
+};
+
+// Listings created before history tracking get their first price seeded from createdAt
+const buildPriceChange = (current, newPrice, changedBy) => {
+  const now = new Date();
+  const history = current.priceHistory || [];
+  const originalPrice = current.originalPrice || (history[0] && history[0].price) || current.price;
+
+  const entries = [];
+  if (!history.length) {
+    entries.push({ price: current.price, changedAt: current.createdAt || now, changedBy: current.owner });
+  }
+  entries.push({ price: newPrice, changedAt: now, changedBy });
+
+  return {
+    fields: {
+      previousPrice: current.price,
+      priceChangedAt: now,
+      originalPrice,
+      priceDropPercent: getDropPercent(originalPrice, newPrice)
+    },
+    entries
+  };
+};
+
+propertySchema.pre('save', async function() {
+  if (this.isNew) {
+    if (!this.priceHistory.length) {
+      this.priceHistory = [{ price: this.price, changedAt: this.createdAt, changedBy: this.$locals.changedBy || this.owner }];
+    }
+    if (!this.originalPrice) this.originalPrice = this.price;
+    return;
+  }
+
+  if (!this.isModified('price')) return;
+
+  const current = await this.constructor.findById(this._id)
+    .select('price originalPrice priceHistory createdAt owner')
+    .lean();
+  if (!current || current.price === this.price) return;
+
+  const { fields, entries } = buildPriceChange(current, this.price, this.$locals.changedBy);
+  Object.assign(this, fields);
+  if (!current.priceHistory || !current.priceHistory.length) {
+    this.priceHistory = entries;
+  } else {
+    this.priceHistory.push(...entries);
+  }
+});
+
+propertySchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  if (fields.price === undefined) return;
+
+  const current = await this.model.findOne(this.getQuery())
+    .select('price originalPrice priceHistory createdAt owner')
+    .lean();
+  const newPrice = Number(fields.price);
+  if (!current || current.price === newPrice) return;
+
+  const change = buildPriceChange(current, newPrice, this.getOptions().changedBy);
+  Object.assign(fields, change.fields);
+  update.$push = { ...(update.$push || {}), priceHistory: { $each: change.entries } };
+  this.setUpdate(update);
+});
+
+
+// Fields the quality score is computed from
+const QUALITY_FIELDS = [
+  'images', 'description', 'area', 'areaUnit', 'areaSqft', 'pincode', 'agent', 'ownerPhone',
+  'geoLocation', 'propertyType', 'listingType', 'address', 'locality', 'bedrooms', 'bathrooms',
+  'furnishing', 'possession', 'amenities'
+];
+
+propertySchema.pre('save', function() {
+  if (this.isNew || QUALITY_FIELDS.some(field => this.isModified(field))) {
+    this.qualityScore = getQualityScore(this);
+  }
+});
+
+propertySchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  if (!QUALITY_FIELDS.some(field => fields[field] !== undefined)) return;
+
+  const current = await this.model.findOne(this.getQuery()).select(QUALITY_FIELDS.join(' ')).lean();
+  if (!current) return;
+
+  fields.qualityScore = getQualityScore({ ...current, ...fields });
+});
+
+
+// Summary shown on the detail page, e.g. "reduced by 8% since listed"
+propertySchema.methods.getPriceInsights = function() {
+  const history = this.priceHistory || [];
+  const originalPrice = this.originalPrice || (history[0] && history[0].price) || this.price;
+
+  return {
+    originalPrice,
+    currentPrice: this.price,
+    listedAt: history[0] ? history[0].changedAt : this.createdAt,
+    lastChangedAt: this.priceChangedAt || null,
+    changeCount: Math.max(history.length - 1, 0),
+    reducedByPercent: getDropPercent(originalPrice, this.price),
+    increasedByPercent: this.price > originalPrice
+      ? Math.round((this.price - originalPrice) / originalPrice * 1000) / 10
+      : 0
+  };
+};
+
+
+// A listing merged into another stays where it is
+propertySchema.methods.canTransitionTo = function(status) {
+  if (this.mergedInto) return false;
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+
+propertySchema.methods.isPublic = function() {
+  return PUBLIC_STATUSES.includes(this.status);
+};
+
+
+propertySchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+propertySchema.statics.PUBLIC_STATUSES = PUBLIC_STATUSES;
+
+propertySchema.index(
+  { owner: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: 'string' } } }
+);
+propertySchema.index({ updatedAt: 1, _id: 1 });
+propertySchema.index({ status: 1, submittedAt: 1 });
+propertySchema.index({ status: 1, expiresAt: 1 });
+propertySchema.index({ 'possibleDuplicates.property': 1 });
+propertySchema.index({ status: 1, qualityScore: -1 });
+propertySchema.index({ geoLocation: '2dsphere' });
+
+propertySchema.index(
+  { title: 'text', description: 'text', locality: 'text', city: 'text', amenities: 'text' },
+  {
+    name: 'property_text_search',
+    weights: { title: 10, locality: 6, city: 6, amenities: 3, description: 2 }
+  }
+);
 
 module.exports = mongoose.model('Property', propertySchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// getProperties query parameters that make sense to save
+const SAVED_SEARCH_PARAMS = [
+  'search', 'location', 'propertyType', 'minPrice', 'maxPrice', 'bedrooms',
+  'furnishing', 'possession', 'amenities', 'minArea', 'maxArea', 'areaUnit',
+  'minPricePerSqft', 'maxPricePerSqft', 'priceDropped',
+  'lat', 'lng', 'radius', 'bounds', 'sort', 'order'
+];
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [100, 'Search name cannot exceed 100 characters']
+  },
+  query: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'off'],
+    default: 'daily'
+  },
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  lastRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastNotifiedAt: {
+    type: Date
+  },
+  // Matches collected between daily digests
+  pendingMatches: [{
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property'
+    },
+    reason: {
+      type: String,
+      enum: ['new', 'price_drop']
+    },
+    previousPrice: Number,
+    price: Number,
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, lastRunAt: 1 });
+
+
+savedSearchSchema.statics.sanitizeQuery = function(query = {}) {
+  const clean = {};
+  SAVED_SEARCH_PARAMS.forEach(key => {
+    if (query[key] !== undefined && query[key] !== '') clean[key] = query[key];
+  });
+  return clean;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const userSchema = new mongoose.Schema({
   googleId: {
@@ -28,6 +30,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   provider: {
     type: String,
     enum: ['google', 'manual'],
@@ -35,7 +44,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'agent', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   phone: {
@@ -53,13 +62,45 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: { type: [String], select: false }
+  },
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Deleted accounts can be restored until jobs/trashPurge removes them
+userSchema.plugin(softDeletePlugin);
+
 
 userSchema.index({ googleId: 1 });
 userSchema.index({ email: 1 });
 
+
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
 module.exports = mongoose.model('User', userSchema);
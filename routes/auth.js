@@ -1,6 +1,6 @@
 const express = require('express');
 const passport = require('passport');
-const { isAuthenticated } = require('../middleware/auth');
+const { isAuthenticated, requireScope } = require('../middleware/auth');
 const User = require('../models/User');
 const router = express.Router();
 
@@ -18,7 +18,7 @@ router.get('/google/callback',
 );
 
 
-router.get('/me', isAuthenticated, async (req, res) => {
+router.get('/me', isAuthenticated, requireScope('profile:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
@@ -107,7 +107,7 @@ router.get('/check', (req, res) => {
 });
 
 
-router.put('/profile', isAuthenticated, async (req, res) => {
+router.put('/profile', isAuthenticated, requireScope('profile:write'), async (req, res) => {
   try {
     const { name, phone, preferences } = req.body;
     
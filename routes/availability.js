@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const {
+  getAvailability,
+  setAvailability,
+  getOpenSlots
+} = require('../controllers/availabilityController');
+
+
+router.get('/:propertyId', getAvailability);
+router.put('/:propertyId', isAuthenticated, requireScope('properties:write'), setAvailability);
+router.get('/:propertyId/slots', getOpenSlots);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const {
+  createBooking,
+  getMyBookings,
+  getReceivedBookings,
+  getBooking,
+  updateBookingStatus,
+  rescheduleBooking,
+  exportBookingIcs,
+  getCalendarFeedUrl,
+  getCalendarFeed
+} = require('../controllers/bookingController');
+
+
+router.post('/', isAuthenticated, requireScope('bookings:write'), createBooking);
+router.get('/my', isAuthenticated, requireScope('bookings:read'), getMyBookings);
+router.get('/received', isAuthenticated, requireScope('bookings:read'), getReceivedBookings);
+router.get('/calendar/feed-url', isAuthenticated, requireScope('bookings:read'), getCalendarFeedUrl);
+router.post('/calendar/feed-url', isAuthenticated, requireScope('bookings:write'), getCalendarFeedUrl);
+router.get('/calendar/:token.ics', getCalendarFeed);
+router.get('/:id', isAuthenticated, requireScope('bookings:read'), getBooking);
+router.get('/:id/ics', isAuthenticated, requireScope('bookings:read'), exportBookingIcs);
+router.put('/:id/status', isAuthenticated, requireScope('bookings:write'), updateBookingStatus);
+router.put('/:id/reschedule', isAuthenticated, requireScope('bookings:write'), rescheduleBooking);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItem,
+  removeCollectionItem,
+  reorderCollection,
+  addItemComment,
+  deleteItemComment,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection,
+  addCollaborator,
+  removeCollaborator
+} = require('../controllers/collectionController');
+
+
+router.get('/shared/:token', getSharedCollection);
+
+router.get('/', isAuthenticated, requireScope('favorites:read'), getCollections);
+router.post('/', isAuthenticated, requireScope('favorites:write'), createCollection);
+router.get('/:id', isAuthenticated, requireScope('favorites:read'), getCollection);
+router.put('/:id', isAuthenticated, requireScope('favorites:write'), updateCollection);
+router.delete('/:id', isAuthenticated, requireScope('favorites:write'), deleteCollection);
+
+router.post('/:id/items', isAuthenticated, requireScope('favorites:write'), addCollectionItem);
+router.put('/:id/order', isAuthenticated, requireScope('favorites:write'), reorderCollection);
+router.delete('/:id/items/:propertyId', isAuthenticated, requireScope('favorites:write'), removeCollectionItem);
+router.post('/:id/items/:propertyId/notes', isAuthenticated, requireScope('favorites:write'), addItemComment);
+router.delete('/:id/items/:propertyId/notes/:noteId', isAuthenticated, requireScope('favorites:write'), deleteItemComment);
+
+router.post('/:id/share', isAuthenticated, requireScope('favorites:write'), shareCollection);
+router.delete('/:id/share', isAuthenticated, requireScope('favorites:write'), unshareCollection);
+
+router.post('/:id/collaborators', isAuthenticated, requireScope('favorites:write'), addCollaborator);
+router.delete('/:id/collaborators/:userId', isAuthenticated, requireScope('favorites:write'), removeCollaborator);
+
+module.exports = router;
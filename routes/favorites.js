@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const {
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+  markFavoriteSeen,
+  checkFavorite,
+  clearAllFavorites
+} = require('../controllers/favoriteController');
+
+
+router.get('/', isAuthenticated, requireScope('favorites:read'), getFavorites);
+router.post('/', isAuthenticated, requireScope('favorites:write'), addFavorite);
+router.delete('/', isAuthenticated, requireScope('favorites:write'), clearAllFavorites);
+router.get('/check/:propertyId', isAuthenticated, requireScope('favorites:read'), checkFavorite);
+router.put('/:propertyId/seen', isAuthenticated, requireScope('favorites:write'), markFavoriteSeen);
+router.delete('/:propertyId', isAuthenticated, requireScope('favorites:write'), removeFavorite);
+
+module.exports = router;
@@ -1,99 +1,101 @@
-// Properties with database
-app.get('/api/properties', async (req, res) => {
-  try {
-    const properties = await Property.find({ status: 'active' })
-      .populate('owner', 'name email avatar')
-      .sort({ createdAt: -1 })
-      .limit(20);
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  isAuthenticated,
+  optionalAuth,
+  requirePermission,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const {
+  getProperties,
+  getProperty,
+  createProperty,
+  updateProperty,
+  deleteProperty,
+  getPropertyTrash,
+  restoreProperty,
+  getFeaturedProperties,
+  getMyProperties,
+  submitProperty,
+  updatePropertyStatus,
+  renewProperty,
+  getPropertyFacets,
+  getMapClusters,
+  compareProperties
+} = require('../controllers/propertyController');
+const {
+  getModerationQueue,
+  approveProperty,
+  rejectProperty,
+  setPropertyFeatured
+} = require('../controllers/moderationController');
+const { importProperties } = require('../controllers/importController');
+const { exportProperties, getSyndicationFeed } = require('../controllers/exportController');
+const {
+  getDuplicateReport,
+  mergeDuplicates,
+  dismissDuplicates
+} = require('../controllers/duplicateController');
 
-    if (properties.length === 0) {
-      // Insert sample data if no properties exist
-      const sampleProperties = [
-        {
-          title: "Sea View Luxury Apartment",
-          price: 25000000,
-          location: "Mumbai",
-          address: "Bandra West, Mumbai, Maharashtra 400050",
-          city: "Mumbai",
-          bedrooms: 3,
-          bathrooms: 3,
-          area: 1200,
-          propertyType: "apartment",
-          furnishing: "furnished",
-          possession: "ready",
-          description: "Premium 3BHK apartment with stunning sea views",
-          images: [{ url: "https://images.unsplash.com/photo-1518780664697-55e3ad937233?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=80" }],
-          amenities: ["Swimming Pool", "Gym", "Security", "Lift", "Parking"],
-          features: ["Sea-facing balconies", "Premium marble flooring"],
-          yearBuilt: 2020,
-          developer: "Lodha Group",
-          owner: req.user?._id || null,
-          agent: {
-            name: "Priya Sharma",
-            phone: "+91 98765 43210",
-            email: "priya.sharma@saarthi.com"
-          }
-        },
-        {
-          title: "Modern Villa in DLF City",
-          price: 32000000,
-          location: "Gurgaon",
-          address: "DLF Phase 2, Gurgaon, Haryana 122002",
-          city: "Gurgaon",
-          bedrooms: 4,
-          bathrooms: 4,
-          area: 2500,
-          propertyType: "villa",
-          furnishing: "semi-furnished",
-          possession: "ready",
-          description: "Spacious 4BHK independent villa with private garden",
-          images: [{ url: "https://images.unsplash.com/photo-1613977257363-707ba9348227?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=80" }],
-          amenities: ["Garden", "Security", "Parking", "Power Backup"],
-          yearBuilt: 2019,
-          developer: "DLF Limited",
-          owner: req.user?._id || null
-        }
-      ];
+const FEED_SCHEMA_PATH = path.join(__dirname, '..', 'docs', 'syndication-feed.xsd');
 
-      // Only create if user is logged in
-      if (req.user) {
-        await Property.insertMany(sampleProperties.map(prop => ({
-          ...prop,
-          owner: req.user._id
-        })));
-        
-        const newProperties = await Property.find({ status: 'active' })
-          .populate('owner', 'name email avatar')
-          .sort({ createdAt: -1 });
-          
-        return res.json({
-          success: true,
-          count: newProperties.length,
-          data: newProperties,
-          message: 'Sample properties created for demo'
-        });
-      }
-      
-      // Return empty array if no user and no properties
-      return res.json({
-        success: true,
-        count: 0,
-        data: [],
-        message: 'No properties found. Login to see sample data.'
-      });
-    }
 
-    res.json({
-      success: true,
-      count: properties.length,
-      data: properties,
-      user: req.user ? req.user.name : 'Guest'
-    });
-  } catch (error) {
-    console.error('❌ Properties fetch error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching properties'
-    });
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed'), false);
+    }
   }
 });
+
+// Reports upload problems (wrong type, too large) as JSON instead of a server error
+const uploadSheet = (req, res, next) => {
+  sheetUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+
+router.get('/', optionalAuth, getProperties);
+router.get('/featured', getFeaturedProperties);
+router.get('/facets', getPropertyFacets);
+router.get('/map/clusters', getMapClusters);
+router.get('/compare', compareProperties);
+router.get('/mine', isAuthenticated, requireScope('properties:read'), getMyProperties);
+router.get('/trash', isAuthenticated, requireScope('properties:read'), getPropertyTrash);
+router.get('/export', isAuthenticated, requireScope('properties:read'), exportProperties);
+router.get('/feed.xml', getSyndicationFeed);
+router.get('/feed.xsd', (req, res) => res.type('application/xml').sendFile(FEED_SCHEMA_PATH));
+router.get('/moderation/queue', isAuthenticated, requireScope('moderation'), requirePermission('property:moderate'), getModerationQueue);
+router.get('/duplicates', isAuthenticated, requireScope('moderation'), requirePermission('property:moderate'), getDuplicateReport);
+router.post('/duplicates/merge', isAuthenticated, requireScope('moderation'), requirePermission('property:moderate'), mergeDuplicates);
+router.post('/duplicates/dismiss', isAuthenticated, requireScope('moderation'), requirePermission('property:moderate'), dismissDuplicates);
+router.get('/:id', optionalAuth, getProperty);
+router.post('/', isAuthenticated, requireScope('properties:write'), requireVerifiedEmail, requirePermission('property:create'), createProperty);
+router.post('/import', isAuthenticated, requireScope('properties:write'), requireVerifiedEmail, requirePermission('property:create'), uploadSheet, importProperties);
+router.put('/:id', isAuthenticated, requireScope('properties:write'), updateProperty);
+router.delete('/:id', isAuthenticated, requireScope('properties:write'), deleteProperty);
+router.post('/:id/submit', isAuthenticated, requireScope('properties:write'), requireVerifiedEmail, submitProperty);
+router.put('/:id/status', isAuthenticated, requireScope('properties:write'), updatePropertyStatus);
+router.post('/:id/renew', isAuthenticated, requireScope('properties:write'), renewProperty);
+router.post('/:id/restore', isAuthenticated, requireScope('properties:write'), restoreProperty);
+router.post('/:id/approve', isAuthenticated, requireScope('moderation'), requirePermission('property:moderate'), approveProperty);
+router.post('/:id/reject', isAuthenticated, requireScope('moderation'), requirePermission('property:moderate'), rejectProperty);
+router.put('/:id/featured', isAuthenticated, requireScope('moderation'), requirePermission('property:feature'), setPropertyFeatured);
+
+module.exports = router;
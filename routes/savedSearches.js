@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch
+} = require('../controllers/savedSearchController');
+
+
+router.get('/unsubscribe/:token', unsubscribeSavedSearch);
+router.post('/unsubscribe/:token', unsubscribeSavedSearch);
+
+router.get('/', isAuthenticated, requireScope('profile:read'), getSavedSearches);
+router.post('/', isAuthenticated, requireScope('profile:write'), createSavedSearch);
+router.put('/:id', isAuthenticated, requireScope('profile:write'), updateSavedSearch);
+router.delete('/:id', isAuthenticated, requireScope('profile:write'), deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated } = require('../middleware/auth');
+const {
+  issueTokens,
+  refreshTokens,
+  revokeToken,
+  getPersonalTokens,
+  createPersonalToken,
+  deletePersonalToken
+} = require('../controllers/tokenController');
+
+
+router.post('/token', issueTokens);
+router.post('/token/refresh', refreshTokens);
+router.post('/token/revoke', revokeToken);
+
+router.get('/tokens', isAuthenticated, getPersonalTokens);
+router.post('/tokens', isAuthenticated, createPersonalToken);
+router.delete('/tokens/:id', isAuthenticated, deletePersonalToken);
+
+module.exports = router;
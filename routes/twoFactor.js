@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated } = require('../middleware/auth');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus
+} = require('../controllers/twoFactorController');
+
+
+// No requireScope: two-factor settings can only be changed from a real sign-in, never a personal access token
+router.get('/', isAuthenticated, getTwoFactorStatus);
+router.post('/setup', isAuthenticated, setupTwoFactor);
+router.post('/verify', isAuthenticated, enableTwoFactor);
+router.post('/disable', isAuthenticated, disableTwoFactor);
+router.post('/recovery-codes', isAuthenticated, regenerateRecoveryCodes);
+
+module.exports = router;
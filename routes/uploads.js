@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const cloudinary = require('../config/cloudinary');
-const { isAuthenticated } = require('../middleware/auth');
+const { isAuthenticated, requireScope } = require('../middleware/auth');
 
 
 const upload = multer({
@@ -20,7 +20,7 @@ const upload = multer({
 });
 
 
-router.post('/single', isAuthenticated, upload.single('image'), async (req, res) => {
+router.post('/single', isAuthenticated, requireScope('properties:write'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -34,6 +34,7 @@ router.post('/single', isAuthenticated, upload.single('image'), async (req, res)
       cloudinary.uploader.upload_stream(
         {
           folder: 'saarthi-properties',
+          phash: true,
           transformation: [
             { width: 800, height: 600, crop: 'fill' },
             { quality: 'auto:good' }
@@ -53,7 +54,9 @@ router.post('/single', isAuthenticated, upload.single('image'), async (req, res)
         url: result.secure_url,
         publicId: result.public_id,
         width: result.width,
-        height: result.height
+        height: result.height,
+        // Send back as the listing's imageHashes so duplicate photos can be spotted
+        phash: result.phash
       }
     });
   } catch (error) {
@@ -66,7 +69,7 @@ router.post('/single', isAuthenticated, upload.single('image'), async (req, res)
 });
 
 
-router.post('/multiple', isAuthenticated, upload.array('images', 10), async (req, res) => {
+router.post('/multiple', isAuthenticated, requireScope('properties:write'), upload.array('images', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -80,6 +83,7 @@ router.post('/multiple', isAuthenticated, upload.array('images', 10), async (req
         cloudinary.uploader.upload_stream(
           {
             folder: 'saarthi-properties',
+            phash: true,
             transformation: [
               { width: 800, height: 600, crop: 'fill' },
               { quality: 'auto:good' }
@@ -91,7 +95,8 @@ router.post('/multiple', isAuthenticated, upload.array('images', 10), async (req
               url: result.secure_url,
               publicId: result.public_id,
               width: result.width,
-              height: result.height
+              height: result.height,
+              phash: result.phash
             });
           }
         ).end(file.buffer);
@@ -115,7 +120,7 @@ router.post('/multiple', isAuthenticated, upload.array('images', 10), async (req
 });
 
 
-router.delete('/:publicId', isAuthenticated, async (req, res) => {
+router.delete('/:publicId', isAuthenticated, requireScope('properties:write'), async (req, res) => {
   try {
     const { publicId } = req.params;
     
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { isAuthenticated, requirePermission, requireScope } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
 const User = require('../models/User');
+const { unlockAccount } = require('../utils/loginGuard');
+const { getPurgeDate, getRetentionDays } = require('../utils/softDelete');
+const { deleteAccount, restoreAccount } = require('../utils/accountDeletion');
 
 
-router.get('/profile', isAuthenticated, async (req, res) => {
+router.get('/profile', isAuthenticated, requireScope('profile:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     
@@ -39,7 +43,7 @@ router.get('/profile', isAuthenticated, async (req, res) => {
 });
 
 
-router.put('/profile', isAuthenticated, async (req, res) => {
+router.put('/profile', isAuthenticated, requireScope('profile:write'), async (req, res) => {
   try {
     const { name, phone, preferences } = req.body;
     
@@ -81,7 +85,7 @@ router.put('/profile', isAuthenticated, async (req, res) => {
 });
 
 
-router.get('/', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/', isAuthenticated, requireScope('admin'), requirePermission('user:list'), async (req, res) => {
   try {
     const { page = 1, limit = 20, role, search } = req.query;
     
@@ -125,11 +129,109 @@ router.get('/', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 
-router.put('/:id/role', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/locked', isAuthenticated, requireScope('admin'), requirePermission('user:unlock'), async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('name email role failedLoginAttempts lastFailedLoginAt lockUntil')
+      .sort({ lockUntil: -1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get locked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locked accounts'
+    });
+  }
+});
+
+
+// Deleted accounts waiting to be purged
+router.get('/trash', isAuthenticated, requireScope('admin'), requirePermission('user:restore'), async (req, res) => {
+  try {
+    const users = await User.find({ deletedAt: { $ne: null } })
+      .select('name email role deletedAt deletedBy')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      retentionDays: getRetentionDays(),
+      data: users.map(user => ({ ...user.toObject(), purgeAt: getPurgeDate(user.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Get deleted users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deleted accounts'
+    });
+  }
+});
+
+
+router.put('/:id/restore', isAuthenticated, requireScope('admin'), requirePermission('user:restore'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted account not found'
+      });
+    }
+
+    await restoreAccount(user);
+
+    res.json({
+      success: true,
+      message: 'Account restored successfully'
+    });
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring account'
+    });
+  }
+});
+
+
+router.put('/:id/unlock', isAuthenticated, requireScope('admin'), requirePermission('user:unlock'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account'
+    });
+  }
+});
+
+
+router.put('/:id/role', isAuthenticated, requireScope('admin'), requirePermission('user:role:set'), async (req, res) => {
   try {
     const { role } = req.body;
     
-    if (!['user', 'agent', 'admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role'
@@ -164,9 +266,10 @@ router.put('/:id/role', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 
-router.delete('/profile', isAuthenticated, async (req, res) => {
+router.delete('/profile', isAuthenticated, requireScope('profile:write'), async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.user._id);
+    // Soft delete; the emailed link restores the account until the trash is purged
+    await deleteAccount(req.user);
     
     // Clear session
     req.logout((err) => {
@@ -177,7 +280,7 @@ router.delete('/profile', isAuthenticated, async (req, res) => {
         res.clearCookie('connect.sid');
         res.json({
           success: true,
-          message: 'Account deleted successfully'
+          message: `Account deleted. You can restore it from the link we emailed you within ${getRetentionDays()} days`
         });
       });
     });
@@ -0,0 +1,170 @@
+// Converts listings written under the old loose schema to the typed Property schema:
+// numeric specs stored as strings ("3 BHK", "Ground"), free-form propertyType /
+// listingType / furnishing values, the legacy `furnished` field, top-level
+// latitude/longitude, free-text locations (moved to locality/city) and string owner ids. It also backfills the derived geoLocation,
+// areaSqft, pricePerSqft and qualityScore fields, updatedAt for listings saved
+// before it was tracked, and publishedAt/expiresAt for live listings that predate
+// listing expiry. Writes go straight to the collection, so nothing the model
+// hooks would derive is filled in unless it is set here. Listings that cannot be
+// fully converted are reported and their bad fields left untouched for manual review.
+//
+// Usage: MONGODB_URI=... node scripts/migrateListingFields.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { normalizeListing } = require('../utils/listing');
+const { toSqft } = require('../utils/area');
+const { toGeoPoint } = require('../utils/geo');
+const { getQualityScore } = require('../utils/listingQuality');
+const { getExpiryDays } = require('../utils/listingLifecycle');
+
+// Old field -> the typed field it is migrated into
+const LEGACY_FIELDS = {
+  furnished: 'furnishing',
+  latitude: 'location',
+  longitude: 'location',
+  coordinates: 'location'
+};
+const TYPED_FIELDS = [
+  'propertyType', 'listingType', 'furnishing', 'bedrooms', 'bathrooms', 'balconies',
+  'parkingSpaces', 'floor', 'totalFloors', 'yearBuilt', 'location', 'area', 'areaUnit'
+];
+// Filled from a free-text location when empty
+const PLACE_FIELDS = ['locality', 'city'];
+
+// Live listings that are already past their period get this long, so the expiry
+// job reminds their owners before taking them down
+const EXPIRY_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dryRun = process.argv.includes('--dry-run');
+
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+
+// The $set / $unset needed for one raw document, plus anything that could not be converted
+const planMigration = (doc) => {
+  const input = {};
+  [...TYPED_FIELDS, ...PLACE_FIELDS, ...Object.keys(LEGACY_FIELDS)].forEach(field => {
+    if (doc[field] !== undefined) input[field] = doc[field];
+  });
+
+  const { data, errors } = normalizeListing(input);
+  const $set = {};
+  const $unset = {};
+
+  [...TYPED_FIELDS, ...PLACE_FIELDS].forEach(field => {
+    if (data[field] !== undefined && !isSame(data[field], doc[field])) $set[field] = data[field];
+  });
+
+  if (typeof doc.location === 'string' && data.location === undefined) $unset.location = '';
+
+  const failed = new Set(errors.map(e => e.field));
+
+  if (!failed.has('area') && !failed.has('areaUnit')) {
+    const merged = { ...doc, ...$set };
+    const areaSqft = toSqft(merged.area, merged.areaUnit, merged.state);
+    const pricePerSqft = areaSqft && merged.price ? Math.round(merged.price / areaSqft) : null;
+    if (areaSqft !== (doc.areaSqft || null)) $set.areaSqft = areaSqft;
+    if (pricePerSqft !== (doc.pricePerSqft || null)) $set.pricePerSqft = pricePerSqft;
+  }
+
+  // Radius, bounds and map cluster searches only see geoLocation
+  if (!failed.has('location')) {
+    const geoLocation = toGeoPoint({ ...doc, ...$set }.location);
+    if (geoLocation && !isSame(geoLocation, doc.geoLocation)) $set.geoLocation = geoLocation;
+  }
+
+  if (!doc.updatedAt) $set.updatedAt = doc.createdAt || new Date();
+
+  // Without expiresAt the expiry job never sees a listing
+  if (doc.status === 'active' && !doc.expiresAt) {
+    const publishedAt = doc.publishedAt || doc.createdAt || new Date();
+    const earliest = Date.now() + EXPIRY_GRACE_DAYS * DAY_MS;
+    if (!doc.publishedAt) $set.publishedAt = publishedAt;
+    $set.expiresAt = new Date(Math.max(publishedAt.getTime() + getExpiryDays() * DAY_MS, earliest));
+  }
+
+  const qualityScore = getQualityScore({ ...doc, ...$set });
+  if (qualityScore !== doc.qualityScore) $set.qualityScore = qualityScore;
+
+  // Legacy fields are only dropped once their value has made it into the typed field
+  Object.entries(LEGACY_FIELDS).forEach(([field, target]) => {
+    if (doc[field] !== undefined && !failed.has(target)) $unset[field] = '';
+  });
+
+  if (doc.owner && !(doc.owner instanceof mongoose.Types.ObjectId)) {
+    const ownerId = doc.owner._id || doc.owner;
+    if (mongoose.Types.ObjectId.isValid(String(ownerId))) {
+      $set.owner = new mongoose.Types.ObjectId(String(ownerId));
+    } else {
+      errors.push({ field: 'owner', value: doc.owner, message: `Invalid owner: "${doc.owner}"` });
+    }
+  }
+
+  return { $set, $unset, errors };
+};
+
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ Set MONGODB_URI to the database to migrate');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log(`🔌 Connected${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+  const stats = { scanned: 0, updated: 0, unchanged: 0, failed: 0 };
+  const failures = [];
+
+  // Raw driver cursor so old values are seen exactly as stored, without schema casting
+  const cursor = Property.collection.find({});
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const { $set, $unset, errors } = planMigration(doc);
+
+    if (errors.length) {
+      stats.failed++;
+      failures.push({ id: doc._id.toString(), title: doc.title, errors });
+    }
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    if (!Object.keys(update).length) {
+      if (!errors.length) stats.unchanged++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await Property.collection.updateOne({ _id: doc._id }, update);
+    }
+    stats.updated++;
+  }
+
+  console.log('📊 Listing migration summary:', stats);
+
+  if (failures.length) {
+    console.log(`⚠️  ${failures.length} listing(s) need manual review:`);
+    failures.forEach(failure => {
+      console.log(`  ${failure.id} "${failure.title}"`);
+      failure.errors.forEach(error => console.log(`    - ${error.message}`));
+    });
+    process.exitCode = 2;
+  }
+
+  await mongoose.disconnect();
+};
+
+if (require.main === module) {
+  run().catch(async error => {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { planMigration };
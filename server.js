@@ -8,8 +8,21 @@ const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const bcrypt = require('bcrypt');
 require('dotenv').config();
+const { hashPassword, comparePassword } = require('./utils/password');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./utils/loginGuard');
+const { issueTwoFactorChallenge, verifyTwoFactorChallenge } = require('./utils/tokens');
+const { SECRET_FIELDS: TWO_FACTOR_SECRET_FIELDS, verifySecondFactor } = require('./controllers/twoFactorController');
+const { isAuthenticated, requireScope } = require('./middleware/auth');
+const { startJobs } = require('./jobs');
+const {
+  sendVerificationEmail,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  restoreDeletedAccount
+} = require('./controllers/authController');
 
 const app = express();
 
@@ -61,7 +74,7 @@ app.use('/api', limiter);
 const mongoose = require('mongoose');
 
 
-let User, Property, Contact;
+let User;
 
 const startServer = async () => {
   try {
@@ -79,8 +92,7 @@ const startServer = async () => {
     
    
     User = require('./models/User');
-    Property = require('./models/Property');
-    Contact = require('./models/Contact');
+    startJobs();
     
   
     const PORT = process.env.PORT || 5000;
@@ -119,19 +131,6 @@ app.use(session({
 
 
 
-const hashPassword = async (password) => {
-  try {
-    const saltRounds = 12; 
-    return await bcrypt.hash(password, saltRounds);
-  } catch (error) { throw new Error('Error hashing password'); }
-};
-
-const comparePassword = async (plainPassword, hashedPassword) => {
-  try {
-    return await bcrypt.compare(plainPassword, hashedPassword);
-  } catch (error) { throw new Error('Error comparing password'); }
-};
-
 const calculateEmailDigitsSum = (email) => {
   const numbers = email.match(/\d+/g) || [];
   let totalDigitsSum = 0;
@@ -169,6 +168,7 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
         existingUser.googleId = profile.id;
         existingUser.avatar = profile.photos[0]?.value;
         existingUser.provider = 'google';
+        existingUser.emailVerified = true;
         await existingUser.save();
         return done(null, existingUser);
       }
@@ -179,6 +179,8 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
         email: profile.emails[0].value,
         avatar: profile.photos[0]?.value,
         provider: 'google',
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
         lastLogin: new Date()
       });
       return done(null, newUser);
@@ -223,13 +225,15 @@ app.post('/api/auth/register', async (req, res) => {
   try {
     const { name, email, password } = req.body;
     if (!User) return res.status(500).json({ success: false, message: 'DB Error' });
-    if (await User.findOne({ email })) return res.status(400).json({ success: false, message: 'Email exists' });
+    // Deleted accounts keep their email until purged so they can still be restored
+    if (await User.findOne({ email }).setOptions({ withDeleted: true })) return res.status(400).json({ success: false, message: 'Email exists' });
 
     const hashedPassword = await hashPassword(password);
     const newUser = await User.create({
       name, email, password: hashedPassword, provider: 'manual', lastLogin: new Date()
     });
-    res.status(201).json({ success: true, message: 'Registered' });
+    sendVerificationEmail(newUser).catch(err => console.error('Verification email error:', err.message));
+    res.status(201).json({ success: true, message: 'Registered. Please check your email to verify your account' });
   } catch (error) { res.status(500).json({ success: false, message: error.message }); }
 });
 
@@ -238,11 +242,24 @@ app.post('/api/auth/login', async (req, res) => {
     const { email, password } = req.body;
     if (!User) return res.status(500).json({ success: false, message: 'DB Error' });
 
-    const user = await User.findOne({ email });
-    if (!user || !user.password) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    const user = await User.findOne({ email: String(email || '').toLowerCase() });
 
-    if (!await comparePassword(password, user.password)) 
+    const blocked = await checkLoginAllowed(user, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ success: false, message: blocked.message, retryAfter: blocked.retryAfter });
+    }
+
+    if (!user || !user.password || !await comparePassword(password, user.password)) {
+      await recordLoginFailure(user, req.ip, email);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({ success: true, twoFactorRequired: true, challengeToken: issueTwoFactorChallenge(user._id) });
+    }
+
+    await recordLoginSuccess(user);
 
     req.login(user, (err) => {
       if (err) return res.status(500).json({ success: false, message: 'Session error' });
@@ -253,12 +270,53 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!User) return res.status(500).json({ success: false, message: 'DB Error' });
+
+    const userId = challengeToken && verifyTwoFactorChallenge(challengeToken);
+    const user = userId && await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) return res.status(401).json({ success: false, message: 'Login session expired, please sign in again' });
+
+    const blocked = await checkLoginAllowed(user, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ success: false, message: blocked.message, retryAfter: blocked.retryAfter });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(user, req.ip, user.email);
+      return res.status(401).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    await recordLoginSuccess(user);
+
+    req.login(user, (err) => {
+      if (err) return res.status(500).json({ success: false, message: 'Session error' });
+      const emailAnalysis = calculateEmailDigitsSum(user.email);
+      res.json({ success: true, data: { ...user.toObject(), twoFactor: { enabled: true }, emailAnalysis } });
+    });
+  } catch (error) { res.status(500).json({ success: false, message: error.message }); }
+});
+
+app.post('/api/auth/verify-email/request', isAuthenticated, requireScope('profile:write'), requestEmailVerification);
+app.post('/api/auth/verify-email', verifyEmail);
+app.post('/api/auth/forgot-password', forgotPassword);
+app.post('/api/auth/reset-password', resetPassword);
+app.post('/api/auth/restore-account', restoreDeletedAccount);
+
+
 app.get('/api/auth/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
 
 
 app.get('/api/auth/google/callback',
   passport.authenticate('google', { failureRedirect: `${clientUrl}/login?error=failed` }),
   (req, res) => {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      const challengeToken = issueTwoFactorChallenge(req.user._id);
+      return req.logout(() => res.redirect(`${clientUrl}/login/2fa?challenge=${challengeToken}`));
+    }
     req.session.save((err) => {
       if (err) console.error('Session save error:', err);
       // Redirect to Frontend Home with Success Flag
@@ -288,34 +346,13 @@ app.post('/api/auth/logout', (req, res) => {
 });
 
 
-
-app.post('/api/properties', async (req, res) => {
-    try {
-        console.log("📥 Data Received:", req.body); // Console mein check karna kya aaya
-        
-        // Direct save without restructuring (Schema will handle it)
-        const newProperty = await Property.create(req.body);
-        
-        console.log("✅ Saved:", newProperty._id);
-        res.json({ success: true, data: newProperty });
-    } catch (e) {
-        console.error("❌ Error:", e.message);
-        res.status(500).json({ error: e.message }); // Detailed error frontend ko milega
-    }
-});
-
-app.post('/api/contact', async (req, res) => {
-    try {
-        console.log("📥 Contact Form Data:", req.body);
-        
-        const newContact = await Contact.create(req.body);
-        
-        console.log("✅ Message Saved:", newContact._id);
-        res.json({ success: true, message: "Message sent successfully!" });
-    } catch (e) {
-        console.error("❌ Contact Error:", e.message);
-        res.status(500).json({ error: e.message });
-    }
-});
-
-
+app.use('/api/auth', require('./routes/tokens'));
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/properties', require('./routes/properties'));
+app.use('/api/contact', require('./routes/contact'));
+app.use('/api/favorites', require('./routes/favorites'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
+app.use('/api/bookings', require('./routes/bookings'));
+app.use('/api/availability', require('./routes/availability'));
@@ -0,0 +1,45 @@
+const Property = require('../models/Property');
+const Booking = require('../models/Booking');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { getRetentionDays } = require('./softDelete');
+const { issueActionToken, revokeAllRefreshTokens } = require('./tokens');
+
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+
+// Moves the account and its listings to the trash, signs it out everywhere and
+// emails a link that restores both until the purge job removes them.
+const deleteAccount = async (user, by = user._id) => {
+  const now = new Date();
+
+  // Listings share the account's deletedAt so restoring the account brings back
+  // exactly these, not ones the owner had already deleted
+  const listings = await Property.find({ owner: user._id }).select('_id').lean();
+  await Property.updateMany({ owner: user._id }, { deletedAt: now, deletedBy: by });
+  await Booking.cancelForProperties(listings.map(p => p._id), by, 'The listing was removed');
+  await user.softDelete(by, now);
+  await revokeAllRefreshTokens(user._id);
+
+  const token = await issueActionToken(user._id, 'restore_account');
+  const template = emailTemplates.accountDeleted(
+    user.name,
+    `${getClientUrl()}/restore-account?token=${token}`,
+    getRetentionDays()
+  );
+  sendEmail({ to: user.email, ...template })
+    .catch(error => console.error('Account deleted email error:', error));
+};
+
+
+const restoreAccount = async (user) => {
+  await Property.updateMany(
+    { owner: user._id, deletedAt: user.deletedAt },
+    { deletedAt: null, $unset: { deletedBy: 1 } }
+  );
+  await user.restore();
+};
+
+module.exports = {
+  deleteAccount,
+  restoreAccount
+};
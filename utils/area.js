@@ -0,0 +1,91 @@
+// Square feet per unit. Listings keep the area and unit they were entered in and
+// the Property hooks store the sqft equivalent in areaSqft for filtering and sorting.
+const SQFT_PER_UNIT = {
+  sqft: 1,
+  sqm: 10.7639,
+  sqyd: 9,
+  acre: 43560,
+  hectare: 107639.104
+};
+
+// A bigha differs from state to state; unknown states use the common north Indian size
+const BIGHA_SQFT_BY_STATE = {
+  'Assam': 14400,
+  'West Bengal': 14400,
+  'Bihar': 27220,
+  'Jharkhand': 27220,
+  'Uttar Pradesh': 27000,
+  'Uttarakhand': 27000,
+  'Haryana': 27225,
+  'Rajasthan': 27225,
+  'Punjab': 9070,
+  'Himachal Pradesh': 8712,
+  'Gujarat': 17427,
+  'Madhya Pradesh': 12000
+};
+const DEFAULT_BIGHA_SQFT = 27000;
+
+const AREA_UNITS = [...Object.keys(SQFT_PER_UNIT), 'bigha'];
+
+const UNIT_ALIASES = {
+  'sq ft': 'sqft',
+  'sq.ft': 'sqft',
+  'sq. ft': 'sqft',
+  'square feet': 'sqft',
+  'sqfeet': 'sqft',
+  'ft2': 'sqft',
+  'sq m': 'sqm',
+  'sq.m': 'sqm',
+  'square meter': 'sqm',
+  'square metre': 'sqm',
+  'm2': 'sqm',
+  'sq yd': 'sqyd',
+  'sq.yd': 'sqyd',
+  'square yard': 'sqyd',
+  'gaj': 'sqyd',
+  'acres': 'acre',
+  'hectares': 'hectare',
+  'bighas': 'bigha'
+};
+
+
+// Canonical unit key, or null when the unit is unknown
+const normalizeAreaUnit = (unit) => {
+  if (!unit) return 'sqft';
+
+  const key = String(unit).toLowerCase().trim().replace(/s$/, '');
+  if (AREA_UNITS.includes(key)) return key;
+  return UNIT_ALIASES[key] || UNIT_ALIASES[String(unit).toLowerCase().trim()] || null;
+};
+
+
+const sqftPerUnit = (unit, state) => {
+  if (unit === 'bigha') return BIGHA_SQFT_BY_STATE[state] || DEFAULT_BIGHA_SQFT;
+  return SQFT_PER_UNIT[unit];
+};
+
+
+const toSqft = (area, unit, state) => {
+  const value = Number(area);
+  const canonical = normalizeAreaUnit(unit);
+  if (!Number.isFinite(value) || value <= 0 || !canonical) return null;
+  return Math.round(value * sqftPerUnit(canonical, state));
+};
+
+
+// Area expressed in the unit a caller asked for, rounded for display
+const fromSqft = (sqft, unit, state) => {
+  const canonical = normalizeAreaUnit(unit);
+  if (!sqft || !canonical) return null;
+
+  const value = sqft / sqftPerUnit(canonical, state);
+  return Math.round(value * 100) / 100;
+};
+
+module.exports = {
+  AREA_UNITS,
+  SQFT_PER_UNIT,
+  normalizeAreaUnit,
+  toSqft,
+  fromSqft
+};
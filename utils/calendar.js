@@ -0,0 +1,140 @@
+// iCalendar (RFC 5545) builders for site-visit bookings
+
+const PRODUCT_ID = '-//Saarthi Real Estate//Site Visits//EN';
+const DEFAULT_VISIT_MINUTES = 30;
+
+// Visit slots are Indian wall-clock times. IST has no daylight saving, so one
+// STANDARD block describes it fully.
+const VISIT_TIME_ZONE = 'Asia/Kolkata';
+const VISIT_UTC_OFFSET_MINUTES = 330;
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${VISIT_TIME_ZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0530',
+  'TZOFFSETTO:+0530',
+  'TZNAME:IST',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+
+// The same instant as IST wall-clock time, for DTSTART;TZID=Asia/Kolkata
+const formatVisitTime = (date) => {
+  const wallClock = new Date(date.getTime() + VISIT_UTC_OFFSET_MINUTES * 60 * 1000);
+  return formatDateTime(wallClock).replace(/Z$/, '');
+};
+
+
+// Combines the stored visit day with its HH:MM slot, read as IST whatever the server's zone.
+// The day itself is the server-local calendar day, as availability and clash checks use.
+const getVisitStart = (booking) => {
+  const day = new Date(booking.visitDate);
+  const [hours, minutes] = booking.visitTime.split(':').map(Number);
+  const wallClock = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+  return new Date(wallClock - VISIT_UTC_OFFSET_MINUTES * 60 * 1000);
+};
+
+
+const getEventUid = (booking) => `booking-${booking._id}@saarthi-realestate`;
+
+
+const buildEvent = (booking) => {
+  const property = booking.property || {};
+  const start = getVisitStart(booking);
+  const end = new Date(start.getTime() + (booking.durationMinutes || DEFAULT_VISIT_MINUTES) * 60 * 1000);
+
+  const location = [property.address, property.locality, property.city]
+    .filter(Boolean)
+    .join(', ');
+
+  const contact = booking.contactInfo || {};
+  const description = [
+    contact.name && `Visitor: ${contact.name}`,
+    contact.phone && `Phone: ${contact.phone}`,
+    contact.email && `Email: ${contact.email}`,
+    booking.message && `Message: ${booking.message}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(booking)}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `LAST-MODIFIED:${formatDateTime(booking.updatedAt || new Date())}`,
+    `SEQUENCE:${booking.sequence || 0}`,
+    `DTSTART;TZID=${VISIT_TIME_ZONE}:${formatVisitTime(start)}`,
+    `DTEND;TZID=${VISIT_TIME_ZONE}:${formatVisitTime(end)}`,
+    `SUMMARY:${escapeText(`Site visit: ${property.title || 'Property'}`)}`,
+    `STATUS:${STATUS_MAP[booking.status] || 'TENTATIVE'}`
+  ];
+
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+
+const buildCalendar = (bookings, calendarName = 'Saarthi site visits') => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    `X-WR-TIMEZONE:${VISIT_TIME_ZONE}`,
+    ...VTIMEZONE
+  ];
+
+  bookings.forEach(booking => lines.push(...buildEvent(booking)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  getVisitStart
+};
@@ -0,0 +1,142 @@
+const { calculateEMI } = require('./helpers');
+const { toSqft } = require('./area');
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+const DEFAULT_LOAN = {
+  downPaymentPercent: 20,
+  rate: 8.5,
+  tenureYears: 20
+};
+
+
+// "3", 3, "3 BHK" and "3+" all become 3; anything unparseable becomes null
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+
+// Loan terms from the query string, falling back to typical home-loan values
+const parseLoanOptions = (query = {}) => {
+  const downPaymentPercent = toNumber(query.downPayment);
+  const rate = toNumber(query.rate);
+  const tenureYears = toNumber(query.tenure);
+
+  return {
+    downPaymentPercent: downPaymentPercent !== null && downPaymentPercent >= 0 && downPaymentPercent < 100
+      ? downPaymentPercent
+      : DEFAULT_LOAN.downPaymentPercent,
+    rate: rate !== null && rate >= 0 && rate <= 30 ? rate : DEFAULT_LOAN.rate,
+    tenureYears: tenureYears !== null && tenureYears > 0 && tenureYears <= 30 ? tenureYears : DEFAULT_LOAN.tenureYears
+  };
+};
+
+
+const isRental = (property) => /rent|lease/i.test(property.listingType || '');
+
+
+const getEmi = (property, loan) => {
+  if (!property.price || isRental(property)) return null;
+  const principal = property.price * (1 - loan.downPaymentPercent / 100);
+  return calculateEMI(principal, loan.rate, loan.tenureYears);
+};
+
+
+// Ids of the properties holding the best value in a row; ties are all highlighted
+const findBest = (ids, values, better) => {
+  if (!better) return [];
+
+  const numbers = values.filter(v => typeof v === 'number');
+  if (numbers.length < 2) return [];
+
+  const target = better === 'lower' ? Math.min(...numbers) : Math.max(...numbers);
+  if (numbers.every(v => v === target)) return [];
+  return ids.filter((id, i) => values[i] === target);
+};
+
+
+// Rows of the matrix: how to read the value and which direction wins
+const ROWS = [
+  { key: 'price', label: 'Price', better: 'lower', value: p => toNumber(p.price) },
+  { key: 'pricePerSqft', label: 'Price per sq ft', better: 'lower', value: (p, ctx) => ctx.pricePerSqft },
+  { key: 'areaSqft', label: 'Area (sq ft)', better: 'higher', value: (p, ctx) => ctx.areaSqft },
+  { key: 'bedrooms', label: 'Bedrooms', better: 'higher', value: p => toNumber(p.bedrooms) },
+  { key: 'bathrooms', label: 'Bathrooms', better: 'higher', value: p => toNumber(p.bathrooms) },
+  { key: 'floor', label: 'Floor', better: null, value: p => (p.floor !== undefined && p.floor !== null
+    ? [p.floor, p.totalFloors].filter(v => v !== undefined && v !== null && v !== '').join(' of ')
+    : null) },
+  { key: 'facing', label: 'Facing', better: null, value: p => p.facing || null },
+  { key: 'possession', label: 'Possession', better: null, value: p => p.possession || null },
+  { key: 'maintenanceCharges', label: 'Maintenance', better: 'lower', value: p => toNumber(p.maintenanceCharges) },
+  { key: 'emi', label: 'Estimated EMI', better: 'lower', value: (p, ctx) => ctx.emi },
+  { key: 'amenityCount', label: 'Amenities', better: 'higher', value: p => (p.amenities || []).length }
+];
+
+
+// Normalized side-by-side matrix for 2-4 listings, in the order given
+const buildComparison = (properties, loan = DEFAULT_LOAN) => {
+  const ids = properties.map(p => p._id.toString());
+
+  const contexts = properties.map(property => {
+    const areaSqft = property.areaSqft || toSqft(property.area, property.areaUnit, property.state);
+    return {
+      areaSqft,
+      pricePerSqft: areaSqft && property.price ? Math.round(property.price / areaSqft) : null,
+      emi: getEmi(property, loan)
+    };
+  });
+
+  const rows = ROWS.map(row => {
+    const values = properties.map((property, i) => row.value(property, contexts[i]));
+    return {
+      key: row.key,
+      label: row.label,
+      better: row.better,
+      values,
+      bestIds: findBest(ids, values, row.better)
+    };
+  });
+
+  // Case-insensitive union, keeping the first spelling seen
+  const amenityNames = new Map();
+  properties.forEach(p => (p.amenities || []).forEach(a => {
+    const name = String(a).trim();
+    if (name && !amenityNames.has(name.toLowerCase())) amenityNames.set(name.toLowerCase(), name);
+  }));
+  const allAmenities = [...amenityNames.values()].sort((a, b) => a.localeCompare(b));
+
+  const amenities = allAmenities.map(name => {
+    const present = properties.map(p => (p.amenities || []).some(a => String(a).trim().toLowerCase() === name.toLowerCase()));
+    return {
+      name,
+      present,
+      missingFrom: ids.filter((id, i) => !present[i])
+    };
+  });
+
+  return {
+    properties: properties.map(p => ({
+      _id: p._id,
+      title: p.title,
+      image: (p.images || [])[0] || null,
+      city: p.city,
+      locality: p.locality,
+      propertyType: p.propertyType,
+      listingType: p.listingType,
+      status: p.status
+    })),
+    rows,
+    amenities,
+    loan
+  };
+};
+
+module.exports = {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  parseLoanOptions,
+  buildComparison
+};
@@ -0,0 +1,269 @@
+const { EARTH_RADIUS_KM, toGeoPoint, haversineKm } = require('./geo');
+const { toSqft } = require('./area');
+const { escapeRegex } = require('./search');
+
+// Scores at or above this are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.7;
+const MAX_CANDIDATES = 100;
+const MAX_REPORTED = 5;
+
+// Only listings that are, or may again be, on the market are compared against
+const COMPARABLE_STATUSES = ['pending_review', 'active', 'inactive', 'expired'];
+
+const CANDIDATE_RADIUS_KM = 1;
+const SAME_PLACE_METRES = 30;
+const MAX_DISTANCE_METRES = 500;
+const AREA_TOLERANCE = 0.15;
+const PRICE_TOLERANCE = 0.2;
+// Bits that may differ between two 64-bit perceptual hashes of the same photo
+const MAX_HASH_DISTANCE = 20;
+
+// How much each signal counts; signals that cannot be computed for a pair
+// (no photos, no coordinates) are left out and the rest reweighted
+const SIGNAL_WEIGHTS = {
+  address: 0.2,
+  geo: 0.2,
+  area: 0.15,
+  price: 0.1,
+  title: 0.1,
+  images: 0.25
+};
+
+const ADDRESS_ABBREVIATIONS = {
+  rd: 'road',
+  st: 'street',
+  ln: 'lane',
+  mg: 'mahatma gandhi',
+  apt: 'apartment',
+  apts: 'apartment',
+  appt: 'apartment',
+  apartments: 'apartment',
+  soc: 'society',
+  chs: 'society',
+  sec: 'sector',
+  ph: 'phase',
+  blk: 'block',
+  bldg: 'building',
+  twr: 'tower',
+  nagr: 'nagar',
+  opp: 'opposite',
+  nr: 'near'
+};
+
+// Words that say nothing about which flat this is
+const ADDRESS_NOISE = ['no', 'number', 'flat', 'house', 'plot', 'near', 'opposite', 'behind', 'the', 'and', 'of'];
+const TITLE_NOISE = [
+  'bhk', 'rk', 'for', 'sale', 'rent', 'in', 'at', 'on', 'with', 'a', 'an', 'the', 'and',
+  'flat', 'apartment', 'house', 'home', 'property', 'spacious', 'beautiful', 'luxury',
+  'new', 'sq', 'ft', 'sqft', 'available', 'near'
+];
+
+
+const words = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+
+// "411 045" -> "411045"; anything that is not a 6-digit PIN code -> null
+const normalizePincode = (pincode) => {
+  const digits = String(pincode || '').replace(/\D/g, '');
+  return /^[1-9]\d{5}$/.test(digits) ? digits : null;
+};
+
+
+// "Flat No. 4B, Sai Apts, Nr. MG Rd" -> { 4b, sai, apartment, mahatma, gandhi, road }
+const normalizeAddress = (...parts) => {
+  const tokens = new Set();
+  parts.forEach(part => {
+    words(part).forEach(word => {
+      words(ADDRESS_ABBREVIATIONS[word] || word).forEach(token => {
+        if (!ADDRESS_NOISE.includes(token)) tokens.add(token);
+      });
+    });
+  });
+  return tokens;
+};
+
+
+const titleTokens = (title) => new Set(words(title).filter(word => !TITLE_NOISE.includes(word)));
+
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return null;
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+
+// 1 when equal, falling to 0 once the values differ by `tolerance` (a fraction)
+const closeness = (a, b, tolerance) => {
+  if (!(a > 0) || !(b > 0)) return null;
+  const difference = Math.abs(a - b) / Math.max(a, b);
+  return Math.max(0, 1 - difference / tolerance);
+};
+
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+
+const getPoint = (listing) => {
+  const point = toGeoPoint(listing.location) || toGeoPoint(listing.geoLocation);
+  return point ? point.coordinates : null;
+};
+
+
+const getAreaSqft = (listing) => toSqft(listing.area, listing.areaUnit, listing.state) || listing.areaSqft;
+
+
+const addressScore = (a, b) => {
+  const pinA = normalizePincode(a.pincode);
+  const pinB = normalizePincode(b.pincode);
+  if (pinA && pinB && pinA !== pinB) return 0;
+
+  const similarity = jaccard(normalizeAddress(a.address, a.locality), normalizeAddress(b.address, b.locality));
+  if (similarity === null) return pinA && pinB ? 0.5 : null;
+  return pinA && pinB ? 0.3 + 0.7 * similarity : similarity;
+};
+
+
+const geoScore = (a, b) => {
+  const pointA = getPoint(a);
+  const pointB = getPoint(b);
+  if (!pointA || !pointB) return null;
+
+  const metres = haversineKm(pointA, pointB) * 1000;
+  if (metres <= SAME_PLACE_METRES) return 1;
+  return Math.max(0, 1 - (metres - SAME_PLACE_METRES) / (MAX_DISTANCE_METRES - SAME_PLACE_METRES));
+};
+
+
+// Best match between any photo of one listing and any photo of the other.
+// The same image URL on both counts as identical even without hashes.
+const imageScore = (a, b) => {
+  const urlsA = new Set(a.images || []);
+  if ((b.images || []).some(url => urlsA.has(url))) return 1;
+
+  const hashesA = a.imageHashes || [];
+  const hashesB = b.imageHashes || [];
+  if (!hashesA.length || !hashesB.length) return null;
+
+  let best = 64;
+  hashesA.forEach(hashA => {
+    hashesB.forEach(hashB => {
+      best = Math.min(best, hammingDistance(hashA, hashB));
+    });
+  });
+  return Math.max(0, 1 - best / MAX_HASH_DISTANCE);
+};
+
+
+// Different kinds of listing are never duplicates however close they are
+const isComparable = (a, b) => {
+  if (a.listingType && b.listingType && a.listingType !== b.listingType) return false;
+  if (a.propertyType && b.propertyType && a.propertyType !== b.propertyType) return false;
+  if (Number.isInteger(a.bedrooms) && Number.isInteger(b.bedrooms) && a.bedrooms !== b.bedrooms) return false;
+  return true;
+};
+
+
+// { score: 0..1, signals: { address, geo, ... } } or null when the listings cannot be duplicates.
+// Needs an address or geo signal plus at least one other to say anything.
+const scoreDuplicate = (a, b) => {
+  if (!isComparable(a, b)) return null;
+
+  const signals = {
+    address: addressScore(a, b),
+    geo: geoScore(a, b),
+    area: closeness(getAreaSqft(a), getAreaSqft(b), AREA_TOLERANCE),
+    price: closeness(a.price, b.price, PRICE_TOLERANCE),
+    title: jaccard(titleTokens(a.title), titleTokens(b.title)),
+    images: imageScore(a, b)
+  };
+
+  const available = Object.keys(signals).filter(name => signals[name] !== null);
+  if (signals.address === null && signals.geo === null) return null;
+  if (available.length < 2) return null;
+
+  const totalWeight = available.reduce((sum, name) => sum + SIGNAL_WEIGHTS[name], 0);
+  const score = available.reduce((sum, name) => sum + SIGNAL_WEIGHTS[name] * signals[name], 0) / totalWeight;
+
+  available.forEach(name => { signals[name] = Math.round(signals[name] * 100) / 100; });
+  return { score: Math.round(score * 100) / 100, signals };
+};
+
+
+// Listings near enough to be worth scoring: same PIN code, same locality or within a kilometre
+const buildCandidateQuery = (listing, excludeIds) => {
+  const nearby = [];
+
+  const pincode = normalizePincode(listing.pincode);
+  if (pincode) {
+    // Stored PIN codes are as entered, so allow spaces between the digits
+    nearby.push({ pincode: new RegExp(`^\\s*${pincode.split('').join('\\s*')}\\s*$`) });
+  }
+
+  if (listing.locality && listing.city) {
+    nearby.push({
+      locality: new RegExp(`^${escapeRegex(listing.locality.trim())}$`, 'i'),
+      city: new RegExp(`^${escapeRegex(listing.city.trim())}$`, 'i')
+    });
+  }
+
+  const point = getPoint(listing);
+  if (point) {
+    nearby.push({
+      geoLocation: { $geoWithin: { $centerSphere: [point, CANDIDATE_RADIUS_KM / EARTH_RADIUS_KM] } }
+    });
+  }
+
+  if (!nearby.length) return null;
+
+  const query = {
+    _id: { $nin: excludeIds },
+    status: { $in: COMPARABLE_STATUSES },
+    mergedInto: null,
+    $or: nearby
+  };
+  if (listing.listingType) query.listingType = listing.listingType;
+  return query;
+};
+
+
+// Existing listings that look like the same property as `listing` (saved or not),
+// best match first. Pairs an admin has dismissed are skipped in both directions.
+const findDuplicates = async (Property, listing) => {
+  const id = listing._id ? listing._id.toString() : null;
+  const dismissed = (listing.dismissedDuplicates || []).map(d => d.toString());
+  const excludeIds = [...dismissed, ...(id ? [id] : [])];
+
+  const query = buildCandidateQuery(listing, excludeIds);
+  if (!query) return [];
+
+  const candidates = await Property.find(query)
+    .select('title price area areaUnit areaSqft state address locality city pincode location geoLocation ' +
+      'propertyType listingType bedrooms images imageHashes status owner dismissedDuplicates')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .filter(candidate => !id || !(candidate.dismissedDuplicates || []).some(d => d.toString() === id))
+    .map(candidate => ({ property: candidate, ...scoreDuplicate(listing, candidate) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_REPORTED);
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  normalizePincode,
+  normalizeAddress,
+  scoreDuplicate,
+  findDuplicates
+};
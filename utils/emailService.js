@@ -1,8 +1,9 @@
 const nodemailer = require('nodemailer');
+const { formatPrice } = require('./helpers');
 
 
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, 
@@ -26,7 +27,8 @@ const sendEmail = async (options) => {
       to: options.to,
       subject: options.subject,
       html: options.html,
-      text: options.text
+      text: options.text,
+      headers: options.headers
     };
 
     const info = await transporter.sendMail(message);
@@ -140,6 +142,295 @@ const emailTemplates = {
         </div>
       </div>
     `
+  }),
+
+  verifyEmail: (name, verifyUrl) => ({
+    subject: 'Verify your email - Saarthi Real Estate',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #36a35a; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Verify Your Email</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>Please confirm your email address to start listing properties on Saarthi.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${verifyUrl}" 
+               style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Verify Email
+            </a>
+          </div>
+          
+          <p style="color: #888; font-size: 14px;">
+            This link expires in 24 hours and can only be used once.
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  passwordReset: (name, resetUrl) => ({
+    subject: 'Reset your password - Saarthi Real Estate',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #36a35a; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Password Reset</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>We received a request to reset the password for your Saarthi account.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${resetUrl}" 
+               style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Reset Password
+            </a>
+          </div>
+          
+          <p style="color: #888; font-size: 14px;">
+            This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  accountLocked: (name, lockMinutes) => ({
+    subject: 'Your Saarthi account has been temporarily locked',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #d9534f; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Account Locked</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>We noticed several failed attempts to sign in to your account, so we have locked it for ${lockMinutes} minutes to keep it safe.</p>
+          
+          <p>If this was you, you can try again after the lock expires or reset your password. If it was not you, we recommend resetting your password right away.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.CLIENT_URL}/forgot-password" 
+               style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Reset Password
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  savedSearchAlert: (name, searchName, matches, unsubscribeUrl) => ({
+    subject: `${matches.length} update${matches.length === 1 ? '' : 's'} for "${searchName}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #36a35a; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">New Matches For You</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>Here is what changed for your saved search <strong>${searchName}</strong>:</p>
+          
+          ${matches.map(match => `
+            <div style="background: #f9f9f9; padding: 15px; border-radius: 8px; margin-bottom: 12px;">
+              <a href="${process.env.CLIENT_URL}/property/${match.property._id}" style="color: #333; font-weight: bold; text-decoration: none;">
+                ${match.property.title}
+              </a>
+              <p style="margin: 6px 0 0 0; color: #666;">
+                ${[match.property.locality, match.property.city].filter(Boolean).join(', ')}
+              </p>
+              <p style="margin: 6px 0 0 0;">
+                ${match.reason === 'price_drop'
+                  ? `<span style="color: #36a35a; font-weight: bold;">Price dropped:</span> <s>${formatPrice(match.previousPrice)}</s> ${formatPrice(match.price)}`
+                  : `<span style="color: #36a35a; font-weight: bold;">New listing:</span> ${formatPrice(match.price)}`}
+              </p>
+            </div>
+          `).join('')}
+          
+          <p style="color: #888; font-size: 12px; text-align: center; margin-top: 30px;">
+            You are receiving this because you saved this search on Saarthi.
+            <a href="${unsubscribeUrl}" style="color: #888;">Unsubscribe from this alert</a>
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  favoriteChanged: (name, property, changes) => ({
+    subject: changes.removed
+      ? `A saved property is no longer listed: ${property.title}`
+      : `Update on a property you saved: ${property.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #36a35a; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Saved Property Update</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>Something changed on <strong>${property.title}</strong>, which you saved to your favorites:</p>
+          
+          <div style="background: #f9f9f9; padding: 15px; border-radius: 8px; margin: 20px 0;">
+            ${changes.removed ? `
+              <p style="margin: 0;">This listing has been removed by the owner and is no longer available.</p>
+            ` : ''}
+            ${changes.price ? `
+              <p style="margin: 0 0 8px 0;">
+                <span style="color: #36a35a; font-weight: bold;">Price ${changes.price.to < changes.price.from ? 'dropped' : 'increased'}:</span>
+                <s>${formatPrice(changes.price.from)}</s> ${formatPrice(changes.price.to)} (${changes.price.changePercent > 0 ? '+' : ''}${changes.price.changePercent}%)
+              </p>
+            ` : ''}
+            ${changes.status ? `
+              <p style="margin: 0;">
+                <span style="color: #36a35a; font-weight: bold;">Status:</span> now marked as ${changes.status.to}
+              </p>
+            ` : ''}
+          </div>
+          
+          ${changes.removed ? '' : `
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.CLIENT_URL}/property/${property._id}" 
+                 style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                View Property
+              </a>
+            </div>
+          `}
+          
+          <p style="color: #888; font-size: 12px; text-align: center; margin-top: 30px;">
+            You can turn off these emails from your notification preferences.
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  collectionInvite: (name, inviterName, collectionName, collectionUrl) => ({
+    subject: `${inviterName} shared "${collectionName}" with you`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #36a35a; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">You're Invited</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p><strong>${inviterName}</strong> added you as a collaborator on their collection <strong>${collectionName}</strong>. You can browse the shortlisted homes and leave notes for each other.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${collectionUrl}" 
+               style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Open Collection
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  listingStatusChanged: (name, property, reason) => {
+    const messages = {
+      draft: 'has been moved back to drafts. You can keep editing it and submit it again when ready.',
+      pending_review: 'has been submitted and is waiting for review by our team. We usually review listings within a day.',
+      active: `is now live on Saarthi${property.expiresAt ? ` until ${new Date(property.expiresAt).toDateString()}` : ''}.`,
+      rejected: 'could not be approved. Please update it and submit it again.',
+      inactive: 'has been paused and is hidden from search until you reactivate it.',
+      expired: 'has expired and is no longer shown in search. Renew it to make it live again.',
+      sold: 'has been marked as sold. Congratulations!',
+      rented: 'has been marked as rented. Congratulations!'
+    };
+    const label = property.status.replace('_', ' ');
+
+    return {
+      subject: `Your listing "${property.title}" is now ${label}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: ${property.status === 'rejected' ? '#d9534f' : '#36a35a'}; padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Listing ${label.charAt(0).toUpperCase() + label.slice(1)}</h1>
+          </div>
+          
+          <div style="padding: 30px;">
+            <p>Hello ${name},</p>
+            
+            <p>Your listing <strong>${property.title}</strong> ${messages[property.status] || `is now ${label}.`}</p>
+            
+            ${reason ? `
+              <div style="background: #f9f9f9; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                <p style="margin: 0;"><strong>Reason:</strong> ${reason}</p>
+              </div>
+            ` : ''}
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.CLIENT_URL}/my-properties/${property._id}" 
+                 style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Manage Listing
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+  },
+
+  listingExpiring: (name, property) => ({
+    subject: `Your listing "${property.title}" expires soon`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #f0ad4e; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Listing Expiring Soon</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>Your listing <strong>${property.title}</strong> will expire on ${new Date(property.expiresAt).toDateString()} and stop appearing in search.</p>
+          
+          <p>If it is still available, renew it to keep it live. If it has been sold or rented, let us know so buyers stop contacting you.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.CLIENT_URL}/my-properties/${property._id}" 
+               style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Renew Listing
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  accountDeleted: (name, restoreUrl, retentionDays) => ({
+    subject: 'Your Saarthi account has been deleted',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #d9534f; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Account Deleted</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <p>Hello ${name},</p>
+          
+          <p>Your account and your listings have been deleted. They will be removed permanently in ${retentionDays} days.</p>
+          
+          <p>If this was a mistake, you can bring everything back until then.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${restoreUrl}" 
+               style="background: #36a35a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Restore My Account
+            </a>
+          </div>
+        </div>
+      </div>
+    `
   })
 };
 
@@ -0,0 +1,54 @@
+const Favorite = require('../models/Favorite');
+const { sendEmail, emailTemplates } = require('./emailService');
+
+// Status changes worth telling savers about
+const ALERT_STATUSES = ['sold', 'rented', 'inactive', 'expired'];
+
+
+const getAlertChanges = (before, after) => {
+  const changes = Favorite.describeChanges(before, after);
+  if (!changes) return null;
+
+  if (changes.status && !ALERT_STATUSES.includes(changes.status.to)) {
+    delete changes.status;
+  }
+  return Object.keys(changes).length ? changes : null;
+};
+
+
+// Emails everyone who favorited the listing about a price/status change or its deletion.
+// `before` is the listing prior to the change; pass `after` as null when it was deleted.
+// Users who turned off preferences.notifications are skipped.
+const notifyFavoriters = async (before, after) => {
+  const changes = getAlertChanges(before, after);
+  if (!changes) return { notified: 0 };
+
+  if (changes.removed) {
+    await Favorite.updateMany({ property: before._id }, { propertyRemovedAt: new Date() });
+  }
+
+  const favorites = await Favorite.find({ property: before._id })
+    .populate('user', 'name email isActive preferences');
+
+  let notified = 0;
+  for (const favorite of favorites) {
+    const user = favorite.user;
+    if (!user || !user.isActive) continue;
+    if (user.preferences && user.preferences.notifications === false) continue;
+
+    try {
+      const template = emailTemplates.favoriteChanged(user.name, after || before, changes);
+      await sendEmail({ to: user.email, ...template });
+      notified++;
+    } catch (error) {
+      console.error(`Favorite alert error (${favorite._id}):`, error.message);
+    }
+  }
+
+  return { notified };
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  notifyFavoriters
+};
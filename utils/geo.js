@@ -0,0 +1,87 @@
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 200;
+const CLUSTER_RADIUS_PX = 60;
+const TILE_SIZE_PX = 256;
+
+
+const isValidCoordinate = (lng, lat) => {
+  return Number.isFinite(lng) && Number.isFinite(lat) &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+};
+
+
+// Blank values are missing, not 0; Number('') and Number(null) would put them at [0, 0]
+const toCoordinate = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return NaN;
+  return Number(value);
+};
+
+
+// Accepts { lat, lng }, { latitude, longitude }, [lng, lat] or a GeoJSON point
+const toGeoPoint = (source) => {
+  if (!source) return null;
+
+  let lng;
+  let lat;
+  if (Array.isArray(source)) {
+    [lng, lat] = source.map(toCoordinate);
+  } else if (source.type === 'Point' && Array.isArray(source.coordinates)) {
+    [lng, lat] = source.coordinates.map(toCoordinate);
+  } else if (typeof source === 'object') {
+    lng = toCoordinate(source.lng !== undefined ? source.lng : source.longitude);
+    lat = toCoordinate(source.lat !== undefined ? source.lat : source.latitude);
+  }
+
+  return isValidCoordinate(lng, lat) ? { type: 'Point', coordinates: [lng, lat] } : null;
+};
+
+
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+
+// "swLng,swLat,neLng,neLat" -> { west, south, east, north } or null
+const parseBounds = (bounds) => {
+  if (!bounds) return null;
+
+  const [west, south, east, north] = String(bounds).split(',').map(Number);
+  if (!isValidCoordinate(west, south) || !isValidCoordinate(east, north) || south >= north) {
+    return null;
+  }
+  return { west, south, east, north };
+};
+
+
+const boundsToPolygon = ({ west, south, east, north }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south]
+  ]]
+});
+
+
+// Grid cell size in degrees so that markers closer than ~CLUSTER_RADIUS_PX merge at this zoom
+const clusterCellSize = (zoom) => {
+  const level = Math.min(Math.max(parseInt(zoom) || 10, 0), 20);
+  return (360 / 2 ** level) * (CLUSTER_RADIUS_PX / TILE_SIZE_PX);
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  MAX_RADIUS_KM,
+  toGeoPoint,
+  haversineKm,
+  parseBounds,
+  boundsToPolygon,
+  clusterCellSize
+};
@@ -1,3 +1,5 @@
+const { canActOn } = require('../config/permissions');
+
 // Format price to Indian currency format
 const formatPrice = (price) => {
   if (!price || isNaN(price)) return '₹0';
@@ -52,6 +54,14 @@ const validatePincode = (pincode) => {
 };
 
 
+// Owner, listed agent or staff with booking:manage:any can manage a property's visits and calendar
+const isPropertyHost = (property, user) => {
+  if (!property || !user) return false;
+  if (canActOn(user, 'booking:manage', property.owner)) return true;
+  return !!(property.agent && property.agent.email && property.agent.email === user.email);
+};
+
+
 const indianStates = [
   'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
   'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
@@ -125,6 +135,7 @@ module.exports = {
   calculateEMI,
   validatePhone,
   validatePincode,
+  isPropertyHost,
   indianStates,
   majorCities,
   generatePropertyId,
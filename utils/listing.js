@@ -0,0 +1,242 @@
+const { toGeoPoint } = require('./geo');
+const { normalizeAreaUnit } = require('./area');
+
+const PROPERTY_TYPES = [
+  'apartment', 'independent_house', 'villa', 'builder_floor', 'penthouse',
+  'studio', 'plot', 'office', 'shop', 'warehouse'
+];
+
+const LISTING_TYPES = ['sale', 'rent'];
+
+const FURNISHING_TYPES = ['furnished', 'semi_furnished', 'unfurnished'];
+
+// Free-form spellings seen in older listings and client forms
+const PROPERTY_TYPE_ALIASES = {
+  flat: 'apartment',
+  apartments: 'apartment',
+  house: 'independent_house',
+  independent_villa: 'villa',
+  bungalow: 'villa',
+  kothi: 'independent_house',
+  floor: 'builder_floor',
+  studio_apartment: 'studio',
+  '1rk': 'studio',
+  land: 'plot',
+  residential_plot: 'plot',
+  office_space: 'office',
+  commercial_office: 'office',
+  commercial_shop: 'shop',
+  showroom: 'shop',
+  godown: 'warehouse'
+};
+
+const LISTING_TYPE_ALIASES = {
+  sell: 'sale',
+  buy: 'sale',
+  resale: 'sale',
+  for_sale: 'sale',
+  rental: 'rent',
+  lease: 'rent',
+  for_rent: 'rent'
+};
+
+const FURNISHING_ALIASES = {
+  fully_furnished: 'furnished',
+  full_furnished: 'furnished',
+  semifurnished: 'semi_furnished',
+  semi: 'semi_furnished',
+  partly_furnished: 'semi_furnished',
+  partially_furnished: 'semi_furnished',
+  not_furnished: 'unfurnished',
+  non_furnished: 'unfurnished',
+  bare_shell: 'unfurnished',
+  no: 'unfurnished',
+  yes: 'furnished'
+};
+
+const FLOOR_WORDS = {
+  ground: 0,
+  g: 0,
+  upper_ground: 0,
+  lower_ground: -1,
+  lg: -1,
+  basement: -1
+};
+
+const MIN_YEAR_BUILT = 1800;
+
+
+const toKey = (value) => String(value).toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+
+const fromEnum = (values, aliases) => (value) => {
+  const key = toKey(value);
+  if (values.includes(key)) return key;
+  return aliases[key];
+};
+
+
+// "3", 3, "3 BHK", "3+" -> 3. Counts must be whole and non-negative.
+const toCount = (value) => {
+  const match = String(value).trim().match(/^(\d+)\s*\+?(\s*[a-z]+)?$/i);
+  if (!match) return undefined;
+  return parseInt(match[1], 10);
+};
+
+
+// Numeric floors, ordinals ("3rd") and words ("Ground", "Basement")
+const toFloor = (value) => {
+  const key = toKey(value).replace(/_floor$/, '');
+  if (FLOOR_WORDS[key] !== undefined) return FLOOR_WORDS[key];
+
+  const match = key.match(/^(-?\d+)(st|nd|rd|th)?$/);
+  return match ? parseInt(match[1], 10) : undefined;
+};
+
+
+// "1,200" and "1200.5" are fine; zero or negative areas are not
+const toArea = (value) => {
+  const area = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(area) && area > 0 ? area : undefined;
+};
+
+
+const toYear = (value) => {
+  const year = toCount(value);
+  if (year === undefined || year < MIN_YEAR_BUILT || year > new Date().getFullYear() + 5) return undefined;
+  return year;
+};
+
+
+const FIELD_NORMALIZERS = {
+  propertyType: fromEnum(PROPERTY_TYPES, PROPERTY_TYPE_ALIASES),
+  listingType: fromEnum(LISTING_TYPES, LISTING_TYPE_ALIASES),
+  furnishing: fromEnum(FURNISHING_TYPES, FURNISHING_ALIASES),
+  bedrooms: toCount,
+  bathrooms: toCount,
+  balconies: toCount,
+  parkingSpaces: toCount,
+  floor: toFloor,
+  totalFloors: toCount,
+  yearBuilt: toYear,
+  area: toArea,
+  areaUnit: value => normalizeAreaUnit(value) || undefined
+};
+
+
+// "19.07, 72.87" -> { lat, lng }; anything else -> null
+const parseCoordinateString = (value) => {
+  const match = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  return match ? { lat: match[1], lng: match[2] } : null;
+};
+
+
+// The old schema took location as free text ("Andheri West, Mumbai"). It fills
+// locality and city where those are empty instead of being read as coordinates.
+const applyPlaceName = (data, place) => {
+  const parts = place.split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length === 1) {
+    if (!data.city) data.city = parts[0];
+    else if (!data.locality) data.locality = parts[0];
+    return;
+  }
+
+  if (parts.length > 1) {
+    if (!data.city) data.city = parts[parts.length - 1];
+    if (!data.locality) data.locality = parts.slice(0, -1).join(', ');
+  }
+};
+
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+
+// True when every coordinate given is empty, as sent by a cleared map pin or blank form fields
+const hasOnlyBlankCoordinates = (data) => {
+  const location = data.location && typeof data.location === 'object' && !Array.isArray(data.location)
+    ? data.location
+    : {};
+  const values = [
+    data.latitude, data.longitude,
+    location.lat, location.lng, location.latitude, location.longitude,
+    ...(location.coordinates || []),
+    ...(Array.isArray(data.location) ? data.location : []),
+    ...(Array.isArray(data.coordinates) ? data.coordinates : [data.coordinates])
+  ];
+  return values.every(isBlank);
+};
+
+
+// Converts loosely typed listing input to the typed schema values. The legacy
+// `furnished` key is renamed to `furnishing` and coordinates in any accepted shape
+// become location { lat, lng }. Empty strings become null so updates can clear a
+// field. Values that cannot be converted are dropped and reported.
+const normalizeListing = (input = {}) => {
+  const data = { ...input };
+  const errors = [];
+
+  if (data.furnished !== undefined) {
+    if (data.furnishing === undefined) data.furnishing = data.furnished;
+    delete data.furnished;
+  }
+
+  if (typeof data.location === 'string') {
+    const coordinates = parseCoordinateString(data.location);
+    if (!data.location.trim()) {
+      data.location = null;
+    } else if (coordinates) {
+      data.location = coordinates;
+    } else {
+      applyPlaceName(data, data.location);
+      delete data.location;
+    }
+  }
+
+  const hasCoordinates = data.latitude !== undefined || data.longitude !== undefined || data.coordinates !== undefined;
+  if (data.location !== undefined || hasCoordinates) {
+    const point = toGeoPoint(data.latitude !== undefined ? { lat: data.latitude, lng: data.longitude } : data.location) ||
+      toGeoPoint(data.coordinates);
+
+    if (point) {
+      data.location = { lat: point.coordinates[1], lng: point.coordinates[0] };
+    } else if (hasOnlyBlankCoordinates(data)) {
+      data.location = null;
+    } else {
+      errors.push({ field: 'location', value: data.location, message: 'Invalid location coordinates' });
+      delete data.location;
+    }
+    delete data.latitude;
+    delete data.longitude;
+    delete data.coordinates;
+  }
+
+  Object.entries(FIELD_NORMALIZERS).forEach(([field, normalize]) => {
+    const value = data[field];
+    if (value === undefined || value === null) return;
+
+    if (value === '') {
+      data[field] = null;
+      return;
+    }
+
+    const normalized = normalize(value);
+    if (normalized === undefined) {
+      errors.push({ field, value, message: `Invalid ${field}: "${value}"` });
+      delete data[field];
+    } else {
+      data[field] = normalized;
+    }
+  });
+
+  return { data, errors };
+};
+
+module.exports = {
+  PROPERTY_TYPES,
+  LISTING_TYPES,
+  FURNISHING_TYPES,
+  normalizeFurnishing: FIELD_NORMALIZERS.furnishing,
+  normalizePropertyType: FIELD_NORMALIZERS.propertyType,
+  normalizeListing
+};
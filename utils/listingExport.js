@@ -0,0 +1,79 @@
+// Export columns. Headers match the bulk import column names, so an exported
+// CSV can be edited and uploaded again to update the same listings.
+const EXPORT_COLUMNS = [
+  { header: 'id', value: p => p._id.toString() },
+  { header: 'externalRef', value: p => p.externalRef },
+  { header: 'status', value: p => p.status },
+  { header: 'title', value: p => p.title },
+  { header: 'description', value: p => p.description },
+  { header: 'propertyType', value: p => p.propertyType },
+  { header: 'listingType', value: p => p.listingType },
+  { header: 'price', value: p => p.price },
+  { header: 'maintenanceCharges', value: p => p.maintenanceCharges },
+  { header: 'priceNegotiable', value: p => p.priceNegotiable },
+  { header: 'area', value: p => p.area },
+  { header: 'areaUnit', value: p => p.areaUnit },
+  { header: 'areaSqft', value: p => p.areaSqft },
+  { header: 'pricePerSqft', value: p => p.pricePerSqft },
+  { header: 'bedrooms', value: p => p.bedrooms },
+  { header: 'bathrooms', value: p => p.bathrooms },
+  { header: 'balconies', value: p => p.balconies },
+  { header: 'furnishing', value: p => p.furnishing },
+  { header: 'facing', value: p => p.facing },
+  { header: 'floor', value: p => p.floor },
+  { header: 'totalFloors', value: p => p.totalFloors },
+  { header: 'yearBuilt', value: p => p.yearBuilt },
+  { header: 'possession', value: p => p.possession },
+  { header: 'parkingSpaces', value: p => p.parkingSpaces },
+  { header: 'address', value: p => p.address },
+  { header: 'locality', value: p => p.locality },
+  { header: 'city', value: p => p.city },
+  { header: 'state', value: p => p.state },
+  { header: 'pincode', value: p => p.pincode },
+  { header: 'latitude', value: p => p.location && p.location.lat },
+  { header: 'longitude', value: p => p.location && p.location.lng },
+  { header: 'amenities', value: p => p.amenities || [] },
+  { header: 'images', value: p => p.images || [] },
+  { header: 'agentName', value: p => p.agent && p.agent.name },
+  { header: 'agentPhone', value: p => p.agent && p.agent.phone },
+  { header: 'agentEmail', value: p => p.agent && p.agent.email },
+  { header: 'createdAt', value: p => p.createdAt },
+  { header: 'updatedAt', value: p => p.updatedAt }
+];
+
+
+const toExportRecord = (property) => {
+  const record = {};
+  EXPORT_COLUMNS.forEach(column => {
+    const value = column.value(property);
+    record[column.header] = value === undefined ? null : value;
+  });
+  return record;
+};
+
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) value = value.join('; ');
+  if (value instanceof Date) value = value.toISOString();
+
+  // Spreadsheet apps run cells starting with = or @ as formulas; phone numbers like +91... are left alone
+  let text = String(value);
+  if (/^[=@]|^[+-](?![\d\s])/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+
+const toCsv = (properties) => {
+  const lines = [EXPORT_COLUMNS.map(c => c.header).join(',')];
+  properties.forEach(property => {
+    const record = toExportRecord(property);
+    lines.push(EXPORT_COLUMNS.map(c => toCsvCell(record[c.header])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  toExportRecord,
+  toCsv
+};
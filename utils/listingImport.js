@@ -0,0 +1,159 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { normalizeListing } = require('./listing');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheet header (lowercased, letters and digits only) -> Property field
+const COLUMN_MAP = {
+  externalref: 'externalRef',
+  externalid: 'externalRef',
+  referenceid: 'externalRef',
+  reference: 'externalRef',
+  ref: 'externalRef',
+  listingid: 'externalRef',
+  title: 'title',
+  description: 'description',
+  propertytype: 'propertyType',
+  type: 'propertyType',
+  listingtype: 'listingType',
+  listingfor: 'listingType',
+  address: 'address',
+  locality: 'locality',
+  city: 'city',
+  state: 'state',
+  pincode: 'pincode',
+  pin: 'pincode',
+  zip: 'pincode',
+  postalcode: 'pincode',
+  latitude: 'latitude',
+  lat: 'latitude',
+  longitude: 'longitude',
+  lng: 'longitude',
+  lon: 'longitude',
+  bedrooms: 'bedrooms',
+  beds: 'bedrooms',
+  bhk: 'bedrooms',
+  bathrooms: 'bathrooms',
+  baths: 'bathrooms',
+  balconies: 'balconies',
+  area: 'area',
+  size: 'area',
+  builtuparea: 'area',
+  carpetarea: 'area',
+  areaunit: 'areaUnit',
+  unit: 'areaUnit',
+  furnishing: 'furnishing',
+  furnished: 'furnishing',
+  facing: 'facing',
+  floor: 'floor',
+  totalfloors: 'totalFloors',
+  price: 'price',
+  askingprice: 'price',
+  rent: 'price',
+  maintenance: 'maintenanceCharges',
+  maintenancecharges: 'maintenanceCharges',
+  negotiable: 'priceNegotiable',
+  pricenegotiable: 'priceNegotiable',
+  amenities: 'amenities',
+  images: 'images',
+  imageurls: 'images',
+  yearbuilt: 'yearBuilt',
+  possession: 'possession',
+  parking: 'parkingSpaces',
+  parkingspaces: 'parkingSpaces',
+  ownername: 'ownerName',
+  ownerphone: 'ownerPhone',
+  owneremail: 'ownerEmail',
+  agentname: 'agent.name',
+  agentphone: 'agent.phone',
+  agentemail: 'agent.email'
+};
+
+const LIST_FIELDS = ['amenities', 'images'];
+const MONEY_FIELDS = ['price', 'maintenanceCharges'];
+
+
+const toHeaderKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+
+// Reads the first worksheet of a CSV or XLSX file into { headers, rows }, where
+// each row is { rowNumber, values: { header: text } }. Cell values are kept as text.
+const readSheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  }
+
+  if (!worksheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      row.eachCell((cell, column) => {
+        headers[column] = String(cell.text).trim();
+      });
+      return;
+    }
+
+    const values = {};
+    headers.forEach((header, column) => {
+      const text = String(row.getCell(column).text || '').trim();
+      if (header && text) values[header] = text;
+    });
+    if (Object.keys(values).length) rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+
+// "₹75,00,000" -> 7500000
+const toMoney = (value) => {
+  const number = Number(String(value).replace(/[₹,\s]|rs\.?|inr/gi, ''));
+  return Number.isFinite(number) ? number : value;
+};
+
+
+const toBoolean = (value) => /^(yes|y|true|1)$/i.test(String(value).trim());
+
+
+// Turns one spreadsheet row into Property input plus any conversion errors
+const mapRow = (values) => {
+  const input = {};
+
+  Object.entries(values).forEach(([header, text]) => {
+    const field = COLUMN_MAP[toHeaderKey(header)];
+    if (!field) return;
+
+    let value = text;
+    if (LIST_FIELDS.includes(field)) value = text.split(/[;|,\n]/).map(v => v.trim()).filter(Boolean);
+    if (MONEY_FIELDS.includes(field)) value = toMoney(text);
+    if (field === 'priceNegotiable') value = toBoolean(text);
+
+    if (field.startsWith('agent.')) {
+      input.agent = { ...input.agent, [field.slice(6)]: value };
+    } else {
+      input[field] = value;
+    }
+  });
+
+  const { data, errors } = normalizeListing(input);
+  return { data, errors: errors.map(e => e.message) };
+};
+
+
+const getUnmappedHeaders = (headers) => headers.filter(header => !COLUMN_MAP[toHeaderKey(header)]);
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readSheet,
+  mapRow,
+  getUnmappedHeaders
+};
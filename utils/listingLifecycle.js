@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { notifyFavoriters } = require('./favoriteAlerts');
+
+const DEFAULT_EXPIRY_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Changing any of these on an approved listing sends it back to moderation, so a
+// listing cannot be approved and then turned into something else
+const REVIEWED_FIELDS = [
+  'title', 'description', 'images', 'price', 'address', 'locality', 'city', 'location',
+  'propertyType', 'listingType'
+];
+const REVIEW_ON_EDIT_STATUSES = ['active', 'inactive'];
+
+
+// How long a listing stays live after approval or renewal (LISTING_EXPIRY_DAYS)
+const getExpiryDays = () => parseInt(process.env.LISTING_EXPIRY_DAYS) || DEFAULT_EXPIRY_DAYS;
+
+
+const getExpiryDate = (from = new Date()) => new Date(from.getTime() + getExpiryDays() * DAY_MS);
+
+
+const emailOwner = async (property, template) => {
+  const ownerId = property.owner && (property.owner._id || property.owner);
+  if (!ownerId) return;
+
+  const owner = await User.findById(ownerId).select('name email');
+  if (!owner) return;
+
+  await sendEmail({ to: owner.email, ...template(owner.name) });
+};
+
+
+// Moves a listing to `status` and records who did it. The caller checks that the
+// transition is allowed (property.canTransitionTo) and that the user may make it.
+// The owner is emailed and savers are notified in the background.
+const changeListingStatus = async (property, status, { by, reason } = {}) => {
+  const from = property.status;
+  const before = property.toObject();
+  const now = new Date();
+
+  property.status = status;
+  property.statusHistory.push({ status, changedAt: now, changedBy: by, reason });
+
+  if (status === 'pending_review') {
+    property.submittedAt = now;
+    property.rejectionReason = undefined;
+  }
+
+  if (from === 'pending_review' && (status === 'active' || status === 'rejected')) {
+    property.moderatedBy = by;
+    property.moderatedAt = now;
+  }
+
+  if (status === 'rejected') {
+    property.rejectionReason = reason;
+  }
+
+  // Approval and renewal of an expired listing start a fresh listing period;
+  // resuming a paused listing keeps the period it had
+  if (status === 'active' && from !== 'inactive') {
+    if (!property.publishedAt) property.publishedAt = now;
+    property.expiresAt = getExpiryDate(now);
+    property.expiryReminderSentAt = undefined;
+  }
+
+  await property.save();
+
+  emailOwner(property, name => emailTemplates.listingStatusChanged(name, property, reason))
+    .catch(error => console.error('Listing status email error:', error));
+  notifyFavoriters(before, property)
+    .catch(error => console.error('Favorite alert error:', error));
+
+  return property;
+};
+
+
+// `before` and `after` are plain objects of the listing either side of an edit
+const needsReviewAfterEdit = (before, after) => {
+  if (!REVIEW_ON_EDIT_STATUSES.includes(before.status)) return false;
+  return REVIEWED_FIELDS.some(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+
+// Extends an active listing by a full period, or brings an expired one back
+const renewListing = async (property, by) => {
+  if (property.status === 'expired') {
+    return changeListingStatus(property, 'active', { by, reason: 'Renewed' });
+  }
+
+  property.expiresAt = getExpiryDate();
+  property.expiryReminderSentAt = undefined;
+  property.statusHistory.push({ status: property.status, changedBy: by, reason: 'Renewed' });
+  await property.save();
+  return property;
+};
+
+module.exports = {
+  getExpiryDays,
+  emailOwner,
+  needsReviewAfterEdit,
+  changeListingStatus,
+  renewListing
+};
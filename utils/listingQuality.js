@@ -0,0 +1,144 @@
+const { validatePhone, validatePincode } = require('./helpers');
+
+const TARGET_IMAGES = 5;
+const GOOD_DESCRIPTION_LENGTH = 300;
+const MIN_DESCRIPTION_LENGTH = 80;
+
+// Land and commercial space have no bedrooms, bathrooms or furnishing to describe
+const NON_RESIDENTIAL_TYPES = ['plot', 'office', 'shop', 'warehouse'];
+
+// Details that each earn a share of the DETAILS points when filled in
+const DETAIL_FIELDS = [
+  { field: 'propertyType', label: 'the property type' },
+  { field: 'listingType', label: 'whether it is for sale or rent' },
+  { field: 'address', label: 'the street address' },
+  { field: 'locality', label: 'the locality' },
+  { field: 'bedrooms', label: 'the number of bedrooms', residential: true },
+  { field: 'bathrooms', label: 'the number of bathrooms', residential: true },
+  { field: 'furnishing', label: 'the furnishing status', residential: true },
+  { field: 'possession', label: 'when possession is available' },
+  { field: 'amenities', label: 'amenities such as parking, lift or security' }
+];
+
+// Points per check; they add up to 100
+const POINTS = {
+  images: 25,
+  description: 15,
+  area: 10,
+  pincode: 10,
+  phone: 10,
+  location: 10,
+  details: 20
+};
+
+
+const isFilled = (value) => {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return String(value).trim() !== '';
+};
+
+
+const getContactPhone = (listing) => (listing.agent && listing.agent.phone) || listing.ownerPhone;
+
+
+const hasCoordinates = (listing) => {
+  const coordinates = listing.geoLocation && listing.geoLocation.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2;
+};
+
+
+// Each check returns the points earned and, when short of full marks, a hint
+const CHECKS = {
+  images: (listing) => {
+    const count = (listing.images || []).length;
+    if (count >= TARGET_IMAGES) return { earned: POINTS.images };
+    return {
+      earned: POINTS.images * count / TARGET_IMAGES,
+      hint: count
+        ? `Add ${TARGET_IMAGES - count} more photo${TARGET_IMAGES - count === 1 ? '' : 's'}; listings with ${TARGET_IMAGES} or more photos get more enquiries`
+        : `Add photos; listings without photos are rarely opened. Aim for ${TARGET_IMAGES} or more`
+    };
+  },
+
+  description: (listing) => {
+    const length = String(listing.description || '').trim().length;
+    if (length >= GOOD_DESCRIPTION_LENGTH) return { earned: POINTS.description };
+    if (!length) {
+      return { earned: 0, hint: 'Add a description covering the layout, condition and neighbourhood' };
+    }
+    return {
+      earned: POINTS.description * length / GOOD_DESCRIPTION_LENGTH,
+      hint: length < MIN_DESCRIPTION_LENGTH
+        ? `Expand the description (${length} characters); buyers look for at least ${GOOD_DESCRIPTION_LENGTH}`
+        : `Add a little more to the description (${length} of ${GOOD_DESCRIPTION_LENGTH} suggested characters)`
+    };
+  },
+
+  area: (listing) => (listing.areaSqft > 0
+    ? { earned: POINTS.area }
+    : { earned: 0, hint: 'Add the area so buyers can compare price per sq ft' }),
+
+  pincode: (listing) => {
+    if (!isFilled(listing.pincode)) return { earned: 0, hint: 'Add the 6-digit PIN code' };
+    if (!validatePincode(String(listing.pincode).replace(/\s/g, ''))) {
+      return { earned: 0, hint: `"${listing.pincode}" is not a valid PIN code; use the 6-digit code` };
+    }
+    return { earned: POINTS.pincode };
+  },
+
+  phone: (listing) => {
+    const phone = getContactPhone(listing);
+    if (!isFilled(phone)) return { earned: 0, hint: 'Add a contact phone number' };
+    if (!validatePhone(String(phone).replace(/[\s-]/g, ''))) {
+      return { earned: 0, hint: `"${phone}" is not a valid mobile number; use a 10-digit Indian mobile number` };
+    }
+    return { earned: POINTS.phone };
+  },
+
+  location: (listing) => (hasCoordinates(listing)
+    ? { earned: POINTS.location }
+    : { earned: 0, hint: 'Pin the property on the map so it shows up in map and nearby searches' }),
+
+  details: (listing) => {
+    const residential = !NON_RESIDENTIAL_TYPES.includes(listing.propertyType);
+    const fields = DETAIL_FIELDS.filter(f => residential || !f.residential);
+    const missing = fields.filter(f => !isFilled(listing[f.field]));
+
+    const earned = POINTS.details * (fields.length - missing.length) / fields.length;
+    if (!missing.length) return { earned };
+
+    const labels = missing.map(f => f.label);
+    const list = labels.length > 1
+      ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+      : labels[0];
+    return { earned, hint: `Add ${list}` };
+  }
+};
+
+
+// 0-100, stored on the listing as qualityScore for ranking
+const getQualityScore = (listing) => Math.round(
+  Object.values(CHECKS).reduce((sum, check) => sum + check(listing).earned, 0)
+);
+
+
+// Score plus what the owner can do to raise it, biggest gains first
+const getListingQuality = (listing) => {
+  let score = 0;
+  const hints = [];
+
+  Object.entries(CHECKS).forEach(([field, check]) => {
+    const { earned, hint } = check(listing);
+    score += earned;
+    if (hint) hints.push({ field, message: hint, points: Math.round(POINTS[field] - earned) });
+  });
+
+  hints.sort((a, b) => b.points - a.points);
+  return { score: Math.round(score), hints };
+};
+
+module.exports = {
+  getQualityScore,
+  getListingQuality
+};
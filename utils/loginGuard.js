@@ -0,0 +1,108 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendEmail, emailTemplates } = require('./emailService');
+
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCK_AFTER_FAILURES = 6;
+const LOCK_MINUTES = 30;
+const IP_WINDOW_MINUTES = 15;
+const IP_MAX_FAILURES = 20;
+
+
+// Seconds the account must wait after its last failure: 1s, 2s, 4s ... capped
+const getRequiredDelay = (failedAttempts) => {
+  if (failedAttempts < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failedAttempts - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+
+// Returns null when a login may proceed, otherwise { status, message, retryAfter }
+const checkLoginAllowed = async (user, ip) => {
+  const windowStart = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+  const ipFailures = await LoginAttempt.countDocuments({ ip, createdAt: { $gte: windowStart } });
+
+  if (ipFailures >= IP_MAX_FAILURES) {
+    return {
+      status: 429,
+      message: 'Too many failed login attempts from this IP, please try again later',
+      retryAfter: IP_WINDOW_MINUTES * 60
+    };
+  }
+
+  if (!user) return null;
+
+  if (user.isLocked()) {
+    return {
+      status: 423,
+      message: 'Account temporarily locked due to repeated failed logins',
+      retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000)
+    };
+  }
+
+  const delay = getRequiredDelay(user.failedLoginAttempts);
+  if (delay && user.lastFailedLoginAt) {
+    const waitMs = user.lastFailedLoginAt.getTime() + delay * 1000 - Date.now();
+    if (waitMs > 0) {
+      return {
+        status: 429,
+        message: 'Too many failed attempts, please wait before trying again',
+        retryAfter: Math.ceil(waitMs / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+
+const recordLoginFailure = async (user, ip, email) => {
+  await LoginAttempt.create({ ip, email, user: user ? user._id : undefined });
+
+  if (!user) return;
+
+  // A lock that has run out starts the count again rather than relocking on the next miss
+  if (user.lockUntil && !user.isLocked()) {
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+  }
+
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+  user.lastFailedLoginAt = new Date();
+
+  const justLocked = user.failedLoginAttempts >= LOCK_AFTER_FAILURES && !user.isLocked();
+  if (justLocked) {
+    user.lockUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+  }
+
+  await user.save();
+
+  if (justLocked) {
+    const template = emailTemplates.accountLocked(user.name, LOCK_MINUTES);
+    sendEmail({ to: user.email, ...template })
+      .catch(err => console.error('Lockout email error:', err.message));
+  }
+};
+
+
+const recordLoginSuccess = async (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  user.lastLogin = new Date();
+  await user.save();
+};
+
+
+const unlockAccount = async (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  await user.save();
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
@@ -0,0 +1,18 @@
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 12;
+
+
+const hashPassword = async (password) => {
+  try {
+    return await bcrypt.hash(password, SALT_ROUNDS);
+  } catch (error) { throw new Error('Error hashing password'); }
+};
+
+const comparePassword = async (plainPassword, hashedPassword) => {
+  try {
+    return await bcrypt.compare(plainPassword, hashedPassword);
+  } catch (error) { throw new Error('Error comparing password'); }
+};
+
+module.exports = { hashPassword, comparePassword };
@@ -0,0 +1,131 @@
+const Property = require('../models/Property');
+const { escapeRegex, correctLocationTerms } = require('./search');
+const { normalizeFurnishing, normalizePropertyType } = require('./listing');
+const { toSqft } = require('./area');
+const {
+  EARTH_RADIUS_KM,
+  MAX_RADIUS_KM,
+  toGeoPoint,
+  parseBounds,
+  boundsToPolygon
+} = require('./geo');
+
+
+// Builds one query clause per listing filter so callers can combine or drop them individually
+const buildPropertyFilters = async (params) => {
+  const {
+    search,
+    location,
+    propertyType,
+    minPrice,
+    maxPrice,
+    bedrooms,
+    furnishing,
+    possession,
+    amenities,
+    minArea,
+    maxArea,
+    areaUnit,
+    minPricePerSqft,
+    maxPricePerSqft,
+    priceDropped
+  } = params;
+
+  const filters = {};
+  const meta = { searchTerms: [], searchCorrections: [], geoCenter: null };
+
+  // Full-text search; misspelled cities/localities are searched alongside their corrections
+  if (search) {
+    const corrected = await correctLocationTerms(Property, search);
+    meta.searchTerms = corrected.terms;
+    meta.searchCorrections = corrected.corrections;
+    // Input with no searchable words at all ("--") searches nothing rather than matching nothing
+    if (meta.searchTerms.length) {
+      filters.search = { $text: { $search: meta.searchTerms.join(' ') } };
+    }
+  }
+
+  if (location) {
+    const corrected = await correctLocationTerms(Property, location);
+    const cityNames = [...new Set([location, corrected.text])];
+    filters.city = { city: { $in: cityNames.map(name => new RegExp(escapeRegex(name.trim()), 'i')) } };
+  }
+
+  if (propertyType) {
+    filters.propertyType = { propertyType: normalizePropertyType(propertyType) || propertyType };
+  }
+
+  if (minPrice || maxPrice) {
+    const price = {};
+    if (minPrice) price.$gte = parseFloat(minPrice) * 10000000;
+    if (maxPrice) price.$lte = parseFloat(maxPrice) * 10000000;
+    filters.price = { price };
+  }
+
+  if (bedrooms) {
+    filters.bedrooms = { bedrooms: { $gte: parseInt(bedrooms) } };
+  }
+
+  if (furnishing) {
+    filters.furnishing = { furnishing: normalizeFurnishing(furnishing) || furnishing };
+  }
+
+  if (possession) {
+    filters.possession = { possession };
+  }
+
+  // minArea/maxArea are read in ?areaUnit= (sqft by default) and matched on the sqft equivalent
+  if (minArea || maxArea) {
+    const areaSqft = {};
+    if (minArea) areaSqft.$gte = toSqft(minArea, areaUnit) || 0;
+    if (maxArea) areaSqft.$lte = toSqft(maxArea, areaUnit) || 0;
+    filters.area = { areaSqft };
+  }
+
+  if (minPricePerSqft || maxPricePerSqft) {
+    const pricePerSqft = {};
+    if (minPricePerSqft) pricePerSqft.$gte = parseFloat(minPricePerSqft);
+    if (maxPricePerSqft) pricePerSqft.$lte = parseFloat(maxPricePerSqft);
+    filters.pricePerSqft = { pricePerSqft };
+  }
+
+  if (amenities) {
+    const amenitiesArray = Array.isArray(amenities) ? amenities : [amenities];
+    filters.amenities = { amenities: { $in: amenitiesArray } };
+  }
+
+  if (priceDropped === 'true') {
+    filters.priceDropped = { priceDropPercent: { $gt: 0 } };
+  }
+
+  // Geo: "within radius km of lat/lng" or "inside map viewport bounds"
+  const center = toGeoPoint({ lat: params.lat, lng: params.lng });
+  if (center) meta.geoCenter = center.coordinates;
+
+  const bounds = parseBounds(params.bounds);
+  if (bounds) {
+    filters.geo = { geoLocation: { $geoWithin: { $geometry: boundsToPolygon(bounds) } } };
+  } else if (center && params.radius) {
+    const radiusKm = Math.min(parseFloat(params.radius) || 10, MAX_RADIUS_KM);
+    meta.radiusKm = radiusKm;
+    filters.geo = {
+      geoLocation: { $geoWithin: { $centerSphere: [center.coordinates, radiusKm / EARTH_RADIUS_KM] } }
+    };
+  }
+
+  return { filters, ...meta };
+};
+
+
+const combineFilters = (filters, exclude) => {
+  const query = { status: 'active' };
+  Object.entries(filters).forEach(([key, clause]) => {
+    if (key !== exclude) Object.assign(query, clause);
+  });
+  return query;
+};
+
+module.exports = {
+  buildPropertyFilters,
+  combineFilters
+};
@@ -0,0 +1,177 @@
+const { majorCities } = require('./helpers');
+
+// Alternate and historical names people still search with
+const CITY_ALIASES = {
+  bengaluru: 'bangalore',
+  gurugram: 'gurgaon',
+  bombay: 'mumbai',
+  madras: 'chennai',
+  calcutta: 'kolkata',
+  poona: 'pune',
+  prayagraj: 'allahabad'
+};
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const MIN_FUZZY_LENGTH = 4;
+
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+
+const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+
+// Edit distance counting adjacent transpositions ("pnue" -> "pune") as a single edit
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+
+// City and locality words known to the platform, cached briefly to avoid a distinct() per search
+const getLocationVocabulary = async (Property) => {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
+  }
+
+  const [cities, localities] = await Promise.all([
+    Property.distinct('city'),
+    Property.distinct('locality')
+  ]);
+
+  const words = new Set();
+  [...majorCities, ...cities, ...localities].forEach(name => {
+    tokenize(name).forEach(word => {
+      if (word.length >= MIN_FUZZY_LENGTH) words.add(word);
+    });
+  });
+
+  vocabularyCache = { words, loadedAt: Date.now() };
+  return words;
+};
+
+
+const correctWord = (word, vocabulary) => {
+  if (CITY_ALIASES[word]) return CITY_ALIASES[word];
+  if (word.length < MIN_FUZZY_LENGTH || vocabulary.has(word) || /\d/.test(word)) return word;
+
+  const maxDistance = word.length >= 8 ? 2 : 1;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+
+  vocabulary.forEach(candidate => {
+    if (Math.abs(candidate.length - word.length) > maxDistance) return;
+    const distance = editDistance(word, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return best || word;
+};
+
+
+// Finds likely city/locality misspellings. Corrected words are returned alongside the
+// originals so callers can search for both and never lose what the user actually typed.
+const correctLocationTerms = async (Property, text) => {
+  const vocabulary = await getLocationVocabulary(Property);
+  const words = tokenize(text);
+  const corrections = [];
+
+  const corrected = words.map(word => {
+    const fixed = correctWord(word, vocabulary);
+    if (fixed !== word) corrections.push({ from: word, to: fixed });
+    return fixed;
+  });
+
+  // Short words are noise next to longer ones, but a query made only of them ("2 bhk") is still searched
+  const terms = [...new Set([...words, ...corrected])];
+  const longTerms = terms.filter(word => word.length >= 3);
+
+  return {
+    text: corrected.join(' '),
+    terms: longTerms.length ? longTerms : terms,
+    corrections
+  };
+};
+
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+
+// Wraps matched terms in <mark>; long fields are trimmed to a window around the first match
+const highlight = (text, terms, maxLength = 160) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const firstMatch = String(text).search(pattern);
+  if (firstMatch === -1) return null;
+
+  let snippet = String(text);
+  let prefix = '';
+  let suffix = '';
+  if (snippet.length > maxLength) {
+    const start = Math.max(0, firstMatch - Math.floor(maxLength / 3));
+    prefix = start > 0 ? '…' : '';
+    suffix = start + maxLength < snippet.length ? '…' : '';
+    snippet = snippet.slice(start, start + maxLength);
+  }
+
+  // Matches are found in the raw text and each piece escaped on its own, so a term
+  // like "amp" cannot match inside an entity
+  let marked = '';
+  let last = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    marked += escapeHtml(snippet.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  marked += escapeHtml(snippet.slice(last));
+
+  return prefix + marked + suffix;
+};
+
+
+const buildHighlights = (property, terms) => {
+  const highlights = {};
+
+  ['title', 'description', 'locality', 'city'].forEach(field => {
+    const snippet = highlight(property[field], terms);
+    if (snippet) highlights[field] = snippet;
+  });
+
+  const amenities = (property.amenities || []).filter(a => highlight(a, terms));
+  if (amenities.length) highlights.amenities = amenities.map(a => highlight(a, terms));
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  correctLocationTerms,
+  buildHighlights
+};
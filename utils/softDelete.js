@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+
+// How long deleted items stay in the trash before the purge job removes them (TRASH_RETENTION_DAYS)
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+
+const getPurgeDate = (deletedAt) => deletedAt && new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+
+
+// Soft deletion: documents get deletedAt instead of being removed, and every query
+// leaves them out unless it filters on deletedAt itself or passes { withDeleted: true }.
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    // $geoNear has to stay the first stage, and a $text match has to be the first
+    // $match, so the condition joins the leading $match rather than going before it
+    const pipeline = this.pipeline();
+    const at = pipeline[0] && pipeline[0].$geoNear ? 1 : 0;
+    const stage = pipeline[at];
+
+    if (stage && stage.$match) {
+      if (Object.prototype.hasOwnProperty.call(stage.$match, 'deletedAt')) return;
+      stage.$match = { ...stage.$match, deletedAt: null };
+    } else {
+      pipeline.splice(at, 0, { $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.softDelete = function(by, at = new Date()) {
+    this.deletedAt = at;
+    this.deletedBy = by;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+
+  schema.methods.getPurgeDate = function() {
+    return getPurgeDate(this.deletedAt);
+  };
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  softDeletePlugin
+};
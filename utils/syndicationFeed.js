@@ -0,0 +1,120 @@
+// Partner syndication feed. The format is described by docs/syndication-feed.xsd,
+// which is also served at /api/properties/feed.xsd.
+const FEED_VERSION = '1.0';
+
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Control characters other than tab and newlines are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+
+// <name attr="...">value</name>, or nothing when the value is empty
+const element = (name, value, attributes = {}) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  const attrs = Object.entries(attributes)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join('');
+  return `<${name}${attrs}>${escapeXml(value)}</${name}>`;
+};
+
+
+const listElement = (name, itemName, values) => {
+  const items = (values || []).filter(Boolean);
+  if (!items.length) return '';
+  return `<${name}>${items.map(v => element(itemName, v)).join('')}</${name}>`;
+};
+
+
+const toListingXml = (property) => {
+  const updated = (property.updatedAt || property.createdAt).toISOString();
+
+  // Partners should take down anything that is no longer on the market
+  if (property.status !== 'active' || property.deletedAt) {
+    return `  <listing id="${property._id}" status="removed" updated="${updated}"/>`;
+  }
+
+  const location = property.location || {};
+  const agent = property.agent || {};
+
+  const children = [
+    element('externalRef', property.externalRef),
+    element('url', `${getClientUrl()}/property/${property._id}`),
+    element('title', property.title),
+    element('description', property.description),
+    element('propertyType', property.propertyType),
+    element('listingType', property.listingType),
+    element('price', property.price, { currency: 'INR', negotiable: property.priceNegotiable ? 'true' : 'false' }),
+    element('maintenance', property.maintenanceCharges, { currency: 'INR' }),
+    element('area', property.areaSqft, { unit: 'sqft' }),
+    element('pricePerSqft', property.pricePerSqft, { currency: 'INR' }),
+    element('bedrooms', property.bedrooms),
+    element('bathrooms', property.bathrooms),
+    element('furnishing', property.furnishing),
+    element('floor', property.floor, { of: property.totalFloors }),
+    element('possession', property.possession),
+    '<location>' + [
+      element('address', property.address),
+      element('locality', property.locality),
+      element('city', property.city),
+      element('state', property.state),
+      element('pincode', property.pincode),
+      element('latitude', location.lat),
+      element('longitude', location.lng)
+    ].join('') + '</location>',
+    listElement('amenities', 'amenity', property.amenities),
+    listElement('images', 'image', property.images),
+    agent.name || agent.phone || agent.email
+      ? `<contact>${element('name', agent.name)}${element('phone', agent.phone)}${element('email', agent.email)}</contact>`
+      : ''
+  ].filter(Boolean);
+
+  return [
+    `  <listing id="${property._id}" status="active" updated="${updated}">`,
+    ...children.map(child => `    ${child}`),
+    '  </listing>'
+  ].join('\n');
+};
+
+
+// meta: { generatedAt, since, next, hasMore }. next is the cursor after the last
+// listing on this page: fetch it straight away when hasMore, otherwise keep it
+// for the next sync.
+const buildFeedXml = (properties, meta) => {
+  const attributes = {
+    version: FEED_VERSION,
+    generated: meta.generatedAt.toISOString(),
+    count: properties.length,
+    since: meta.since ? meta.since.toISOString() : null,
+    hasMore: meta.hasMore ? 'true' : 'false',
+    nextSince: meta.next ? meta.next.since : null,
+    nextAfter: meta.next ? meta.next.after : null,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:noNamespaceSchemaLocation': meta.schemaUrl
+  };
+
+  const attrs = Object.entries(attributes)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join('');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<listings${attrs}>`,
+    ...properties.map(toListingXml),
+    '</listings>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  buildFeedXml
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const RefreshToken = require('../models/RefreshToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+
+const TOKEN_SECRET = process.env.JWT_SECRET || process.env.SESSION_SECRET || 'fallback_secret_do_not_use_in_prod';
+
+const TOKEN_TTL = {
+  verify_email: 24 * 60 * 60, // 1 day
+  reset_password: 60 * 60, // 1 hour
+  restore_account: 30 * 24 * 60 * 60 // 30 days, the default trash retention
+};
+
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // 5 minutes
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+const PERSONAL_TOKEN_PREFIX = 'sat_';
+
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+
+// Issues a signed, expiring token for a one-off account action
+const issueActionToken = async (userId, purpose) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const ttl = TOKEN_TTL[purpose];
+
+  await AuthToken.create({
+    jti,
+    user: userId,
+    purpose,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return jwt.sign({ sub: userId.toString(), purpose }, TOKEN_SECRET, {
+    expiresIn: ttl,
+    jwtid: jti
+  });
+};
+
+
+// Verifies and burns a token; returns the user id or null when invalid, expired or reused
+const consumeActionToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, TOKEN_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || !payload.jti) return null;
+
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      jti: payload.jti,
+      user: payload.sub,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return record ? record.user : null;
+};
+
+
+const revokeActionTokens = (userId, purpose) => {
+  return AuthToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+};
+
+// Short-lived proof that the password step passed; exchanged for a session once the TOTP code checks out
+const issueTwoFactorChallenge = (userId) => {
+  return jwt.sign({ sub: userId.toString(), purpose: 'two_factor' }, TOKEN_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL
+  });
+};
+
+
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, TOKEN_SECRET);
+    return payload.purpose === 'two_factor' ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const issueAccessToken = (user) => {
+  return jwt.sign({ sub: user._id.toString(), purpose: 'access', role: user.role }, TOKEN_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+
+const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, TOKEN_SECRET);
+    return payload.purpose === 'access' ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+
+const issueRefreshToken = async (userId, meta = {}, family = crypto.randomBytes(16).toString('hex')) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+    userAgent: meta.userAgent,
+    ip: meta.ip
+  });
+
+  return token;
+};
+
+
+// Access + refresh pair for a freshly authenticated user
+const issueTokenPair = async (user, meta) => {
+  return {
+    accessToken: issueAccessToken(user),
+    refreshToken: await issueRefreshToken(user._id, meta),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+
+// Swaps a refresh token for a new pair. Presenting an already rotated token
+// means it leaked, so the whole family is revoked. Returns null when invalid.
+const rotateRefreshToken = async (token, meta) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (!record || record.revokedAt || record.expiresAt <= new Date()) return null;
+
+  if (record.replacedAt) {
+    await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: new Date() });
+    return null;
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) return null;
+
+  record.replacedAt = new Date();
+  await record.save();
+
+  return {
+    user,
+    tokens: {
+      accessToken: issueAccessToken(user),
+      refreshToken: await issueRefreshToken(user._id, meta, record.family),
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+};
+
+
+const revokeRefreshToken = async (token) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (!record) return false;
+
+  await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: new Date() });
+  return true;
+};
+
+
+const revokeAllRefreshTokens = (userId) => {
+  return RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+
+// Returns { token, record }; the plain token is only ever shown at creation
+const createPersonalToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = PERSONAL_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const record = await PersonalAccessToken.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, PERSONAL_TOKEN_PREFIX.length + 6)
+  });
+
+  return { token, record };
+};
+
+
+const findPersonalToken = async (token) => {
+  const record = await PersonalAccessToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  if (!record || (record.expiresAt && record.expiresAt <= new Date())) return null;
+  return record;
+};
+
+
+const isPersonalToken = (token) => token.startsWith(PERSONAL_TOKEN_PREFIX);
+
+module.exports = {
+  issueAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  createPersonalToken,
+  findPersonalToken,
+  isPersonalToken,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueActionToken,
+  consumeActionToken,
+  revokeActionTokens
+};